@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+// motuwe CLI: Electron uygulamasıyla aynı tablo tespiti, arayüz olmadan
+const fs = require('fs').promises;
+const path = require('path');
+const { loadSource, detectTables, scrapeTable, toCSV } = require('../scraper');
+const XlsxWriter = require('../motuwe-extension/js/xlsx-writer');
+
+const USAGE = `Usage:
+  motuwe list <url|file> [--json]
+  motuwe get <url|file> [--index N | --selector CSS] [--format csv|json|xlsx]
+             [--output FILE] [--delimiter ,]
+
+Commands:
+  list   Show every table found in the page (index, title, size, selector)
+  get    Write one table (default: index 0) to stdout or --output
+
+Format defaults to the --output extension, otherwise csv.
+XLSX is binary: pipe it or use --output.`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg === '--json') {
+            args.json = true;
+        } else if (arg.startsWith('--')) {
+            const [key, inline] = arg.slice(2).split(/=(.*)/s);
+            const value = inline !== undefined ? inline : argv[++i];
+            if (value === undefined) throw new UsageError(`Missing value for --${key}`);
+            args[key] = value;
+        } else {
+            args._.push(arg);
+        }
+    }
+    return args;
+}
+
+// json: başlık satırı anahtar olarak kullanılır
+function toJSON(data) {
+    const [headers = [], ...rows] = data;
+    const keys = headers.map((h, i) => h || `Column ${i + 1}`);
+    return JSON.stringify(rows.map(row => Object.fromEntries(keys.map((k, i) => [k, row[i] ?? '']))), null, 2);
+}
+
+function formatTable(data, format, { delimiter = ',', sheetName = 'Table' } = {}) {
+    switch (format) {
+        case 'csv':
+            return toCSV(data, delimiter) + '\r\n';
+        case 'json':
+            return toJSON(data) + '\n';
+        case 'xlsx':
+            return Buffer.from(new XlsxWriter().addSheet(sheetName, data).build());
+        default:
+            throw new UsageError(`Unsupported format: ${format}`);
+    }
+}
+
+async function listCommand(source, args) {
+    const tables = detectTables(await loadSource(source), { previewRows: 1 });
+    if (args.json) {
+        const summary = tables.map(({ index, title, selector, data, totalRows }) => ({
+            index, title, selector, rows: totalRows, columns: (data[0] || []).length, headers: data[0] || []
+        }));
+        process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+        return;
+    }
+    if (!tables.length) {
+        process.stderr.write('No tables found.\n');
+        return;
+    }
+    tables.forEach(({ index, title, selector, data, totalRows }) => {
+        process.stdout.write(`${index}\t${totalRows}x${(data[0] || []).length}\t${selector}\t${title}\n`);
+    });
+}
+
+async function getCommand(source, args) {
+    const format = (args.format || (args.output ? path.extname(args.output).slice(1) : '') || 'csv').toLowerCase();
+    if (args.index !== undefined && !/^\d+$/.test(args.index)) throw new UsageError(`Invalid --index: ${args.index}`);
+
+    const data = scrapeTable(await loadSource(source), {
+        index: args.index !== undefined ? Number(args.index) : 0,
+        selector: args.selector || null
+    });
+    const content = formatTable(data, format, { delimiter: args.delimiter || ',' });
+
+    if (args.output) {
+        // CSV için UTF-8 BOM ekle (Excel uyumluluğu için)
+        await fs.writeFile(args.output, format === 'csv' ? '\ufeff' + content : content);
+        process.stderr.write(`Wrote ${Math.max(data.length - 1, 0)} rows to ${args.output}\n`);
+        return;
+    }
+    if (format === 'xlsx' && process.stdout.isTTY) {
+        throw new UsageError('Refusing to write XLSX to a terminal; use --output or a pipe');
+    }
+    process.stdout.write(content);
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    const [command, source] = args._;
+    if (args.help || !command) {
+        process.stdout.write(USAGE + '\n');
+        return args.help ? 0 : 2;
+    }
+    if (!source) throw new UsageError(`Missing <url|file> for ${command}`);
+
+    switch (command) {
+        case 'list':
+            await listCommand(source, args);
+            return 0;
+        case 'get':
+            await getCommand(source, args);
+            return 0;
+        default:
+            throw new UsageError(`Unknown command: ${command}`);
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}).catch(error => {
+    process.stderr.write(`motuwe: ${error.message}\n`);
+    if (error instanceof UsageError) process.stderr.write(USAGE + '\n');
+    process.exitCode = error instanceof UsageError ? 2 : 1;
+});
@@ -1,8 +1,8 @@
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
-const axios = require('axios');
-const cheerio = require('cheerio');
 const fs = require('fs').promises;
+const { fetchHtml, detectTables, scrapeTable, toCSV } = require('./scraper');
+const { renderTables } = require('./render');
 
 let mainWindow;
 
@@ -34,110 +34,44 @@ app.on('activate', () => {
     }
 });
 
-function cleanCell(text) {
-    return text.replace(/\s+/g, ' ').trim();
-}
+// Son render sonucu: tablo seçimi sayfayı yeniden yüklemeden aynı listeyi kullanır
+let lastRendered = null;
+const RENDER_CACHE_MS = 5 * 60 * 1000;
 
-function processTable($, table) {
-    const rows = [];
-    const $rows = $(table).find('tr');
-    
-    // Önce tüm sütun sayısını bul
-    let maxColumns = 0;
-    $rows.each((i, row) => {
-        const colCount = $(row).find('td, th').length;
-        maxColumns = Math.max(maxColumns, colCount);
-    });
-
-    // Her satırı işle
-    $rows.each((i, row) => {
-        const rowData = new Array(maxColumns).fill(''); // Boş hücreleri doldur
-        $(row).find('td, th').each((j, cell) => {
-            const $cell = $(cell);
-            
-            // colspan ve rowspan kontrolü
-            const colspan = parseInt($cell.attr('colspan')) || 1;
-            const content = cleanCell($cell.text());
-            
-            // Boş hücre kontrolü
-            if (content.trim() !== '') {
-                // colspan varsa birden fazla hücreye yaz
-                for (let k = 0; k < colspan; k++) {
-                    rowData[j + k] = content;
-                }
-            }
-        });
-        rows.push(rowData);
-    });
-
-    return rows;
+async function getRenderedTables(url, { fresh = false } = {}) {
+    if (!fresh && lastRendered && lastRendered.url === url && Date.now() - lastRendered.at < RENDER_CACHE_MS) {
+        return lastRendered.tables;
+    }
+    const tables = await renderTables(url);
+    lastRendered = { url, tables, at: Date.now() };
+    return tables;
 }
 
-ipcMain.handle('detect-tables', async (event, url) => {
+// options.mode: 'static' (axios + cheerio, varsayılan) ya da 'rendered' (gizli pencere)
+ipcMain.handle('detect-tables', async (event, url, options = {}) => {
     try {
-        const response = await axios.get(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.5'
-            }
-        });
-
-        const $ = cheerio.load(response.data);
-        const tables = [];
-        
-        $('table').each((index, element) => {
-            // Tablo başlığını bul
-            let title = '';
-            const prevElement = $(element).prev();
-            if (prevElement.is('h1, h2, h3, h4, h5, h6')) {
-                title = prevElement.text().trim();
-            } else if ($(element).find('caption').length > 0) {
-                title = $(element).find('caption').first().text().trim();
-            } else {
-                // Sayfadaki diğer başlıkları kontrol et
-                let $header = $(element).prevAll('h1, h2, h3, h4, h5, h6').first();
-                if ($header.length > 0) {
-                    title = $header.text().trim();
-                }
-            }
-            
-            const data = processTable($, element);
-            
-            if (data.length > 0 && data[0].length > 0) {
-                // İlk 5 satırı al (başlık + 4 veri satırı)
-                const previewData = data.slice(0, Math.min(5, data.length));
-                tables.push({
-                    index,
-                    title: title || `Tablo ${index + 1}`,
-                    data: previewData,
-                    totalRows: data.length
-                });
-            }
-        });
-        
-        return tables;
+        if (options.mode === 'rendered') {
+            const tables = await getRenderedTables(url, { fresh: true });
+            // İlk 5 satırı al (başlık + 4 veri satırı)
+            return tables.map(table => ({ ...table, data: table.data.slice(0, 5) }));
+        }
+        const html = await fetchHtml(url);
+        return detectTables(html);
     } catch (error) {
         console.error('Error fetching tables:', error);
         throw error;
     }
 });
 
-ipcMain.handle('scrape-table', async (event, url, tableIndex) => {
+ipcMain.handle('scrape-table', async (event, url, tableIndex, options = {}) => {
     try {
-        const response = await axios.get(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.5'
-            }
-        });
-
-        const $ = cheerio.load(response.data);
-        const tables = $('table');
-        const selectedTable = tables.eq(tableIndex);
-        
-        return processTable($, selectedTable);
+        if (options.mode === 'rendered') {
+            const table = (await getRenderedTables(url)).find(t => t.index === tableIndex);
+            if (!table) throw new Error(`No table at index ${tableIndex}`);
+            return table.data;
+        }
+        const html = await fetchHtml(url);
+        return scrapeTable(html, { index: tableIndex });
     } catch (error) {
         console.error('Error scraping table:', error);
         throw error;
@@ -157,17 +91,7 @@ ipcMain.handle('export-data', async (event, data, format) => {
         if (format === 'json') {
             await fs.writeFile(filePath, JSON.stringify(data, null, 2));
         } else if (format === 'csv') {
-            // CSV için özel formatlama
-            const csvContent = data.map(row => {
-                return row.map(cell => {
-                    // Hücrede virgül, çift tırnak veya yeni satır varsa özel işle
-                    const escaped = cell.replace(/"/g, '""');
-                    if (escaped.includes(',') || escaped.includes('"') || escaped.includes('\n')) {
-                        return `"${escaped}"`;
-                    }
-                    return escaped;
-                }).join(',');
-            }).join('\r\n');
+            const csvContent = toCSV(data);
             
             // UTF-8 BOM ekle (Excel uyumluluğu için)
             const BOM = '\ufeff';
@@ -1,10 +1,22 @@
 // Motuwe Scraper - Background Service Worker (MV3)
 // Handles: config storage, content injection, messaging, backend fetch with retries.
+// Settings and file exports live in js/background.js (MotuweBackground).
+importScripts('js/xlsx-writer.js', 'js/json-tables.js', 'js/background.js');
 
 const STORAGE_KEYS = {
   config: 'motuwe:config',
   backend: 'motuwe:backend',
 };
+// Large/volatile data lives in storage.local (sync has tight quotas)
+const LOCAL_KEYS = {
+  jobs: 'motuwe:jobs',
+  jobResults: 'motuwe:jobResults',
+  linkCrawls: 'motuwe:linkCrawls',
+};
+const JOB_ALARM_PREFIX = 'motuwe-job:';
+const JOB_RESULTS_KEEP = 5;
+const LINK_CRAWLS_KEEP = 5;
+const API_HOOK_SCRIPT_ID = 'motuwe-api-hook';
 const SESSION_KEYS = {
   lastSelection: 'motuwe:lastSelection',
 };
@@ -42,7 +54,7 @@ async function ensureContentScript(tabId) {
   // Inject into all frames to reach content inside same-origin iframes
   await chrome.scripting.executeScript({
     target: { tabId, allFrames: true },
-    files: ['content.js'],
+    files: ['js/table-grid.js', 'js/json-tables.js', 'js/extraction-schema.js', 'content.js'],
     injectImmediately: true,
     world: 'ISOLATED'
   });
@@ -69,6 +81,15 @@ async function loadStorage(key, defaults = null) {
   return res[key] ?? defaults;
 }
 
+async function saveLocal(key, value) {
+  await chrome.storage.local.set({ [key]: value });
+}
+
+async function loadLocal(key, defaults = null) {
+  const res = await chrome.storage.local.get(key);
+  return res[key] ?? defaults;
+}
+
 async function saveSession(key, value) {
   try { await chrome.storage.session.set({ [key]: value }); } catch (e) { console.warn('session set failed', e?.message || e); }
 }
@@ -94,11 +115,884 @@ async function backgroundFetch(input, init = {}, { timeoutMs = 10000, retries =
   );
 }
 
+// ---------- API capture (opt-in): MAIN-world fetch/XHR hook ----------
+// Registered for every page while config.captureApi is on so responses made during page load are seen
+async function syncApiHook(enabled) {
+  const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [API_HOOK_SCRIPT_ID] });
+  if (enabled && !existing.length) {
+    await chrome.scripting.registerContentScripts([{
+      id: API_HOOK_SCRIPT_ID,
+      js: ['js/api-hook.js'],
+      matches: ['<all_urls>'],
+      runAt: 'document_start',
+      world: 'MAIN',
+      allFrames: true,
+      persistAcrossSessions: true,
+    }]);
+  } else if (!enabled && existing.length) {
+    await chrome.scripting.unregisterContentScripts({ ids: [API_HOOK_SCRIPT_ID] });
+  }
+}
+
+// Read the captured JSON responses from every frame and turn object arrays into api-json tables
+async function collectApiTables(tabId) {
+  let frames = [];
+  try {
+    frames = await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      world: 'MAIN',
+      func: () => window.__motuweApiCaptures || [],
+    });
+  } catch (e) {
+    console.warn('API capture read failed:', e?.message || e);
+    return [];
+  }
+  // Polled endpoints repeat: keep the latest response per frame + URL + JSON path
+  const byKey = new Map();
+  for (const frame of frames || []) {
+    for (const cap of frame.result || []) {
+      for (const { path, items } of findJsonObjectArrays(cap.data)) {
+        const t = jsonObjectsToTable(items);
+        if (!t.headers.length) continue;
+        const table = {
+          type: 'api-json',
+          selector: '',
+          source: cap.url,
+          path,
+          method: cap.method,
+          status: cap.status,
+          frameId: frame.frameId,
+          ...t,
+          rowsCount: t.objects.length,
+          colsCount: t.headers.length,
+        };
+        table.score = scoreJsonTable(table);
+        byKey.set(`${frame.frameId}|${cap.url}|${path}`, table);
+      }
+    }
+  }
+  return Array.from(byKey.values()).slice(-30);
+}
+
+// ---------- Chart data ----------
+// Runs in the page (MAIN world, serialized by executeScript): series from Highcharts,
+// Chart.js and ECharts instances, plus inline SVG marks carrying their values.
+// Returns [{ library, title, series, selector, points: [[x, y]] }].
+function readPageCharts() {
+  const MAX_POINTS = 5000;
+  const out = [];
+  const seen = new Set();
+  const pathOf = (el) => {
+    const parts = [];
+    while (el && el.nodeType === 1 && parts.length < 6) {
+      if (el.id) { parts.unshift(`#${CSS.escape(el.id)}`); break; }
+      let part = el.nodeName.toLowerCase();
+      const parent = el.parentElement;
+      if (parent) part += `:nth-of-type(${Array.from(parent.children).filter((c) => c.nodeName === el.nodeName).indexOf(el) + 1})`;
+      parts.unshift(part);
+      el = parent;
+    }
+    return parts.join(' > ');
+  };
+  const add = (library, el, title, series, points) => {
+    const clean = points.filter(([, y]) => y !== null && y !== undefined && y !== '').slice(0, MAX_POINTS);
+    if (!clean.length) return;
+    if (el) seen.add(el);
+    out.push({ library, title: String(title || ''), series: String(series || ''), selector: el ? pathOf(el) : '', points: clean });
+  };
+  const isoDay = (ms) => { try { return new Date(ms).toISOString().slice(0, 10); } catch (e) { return ms; } };
+  const yValue = (v) => Array.isArray(v) ? v.join(' / ') : v;
+
+  // Highcharts: xData/yData hold every point even when the visible range is cropped
+  try {
+    for (const chart of (window.Highcharts && window.Highcharts.charts) || []) {
+      if (!chart || !chart.series) continue;
+      const title = (chart.title && chart.title.textStr) || (chart.options && chart.options.title && chart.options.title.text) || '';
+      const xAxis = chart.xAxis && chart.xAxis[0];
+      const datetime = !!(xAxis && (xAxis.isDatetimeAxis || (xAxis.options && xAxis.options.type === 'datetime')));
+      const categories = xAxis && xAxis.categories;
+      for (const s of chart.series) {
+        if (!s || (s.options && s.options.isInternal) || /navigator/i.test(s.name || '')) continue;
+        const xs = s.xData || [];
+        const ys = s.yData || [];
+        const data = s.data || [];
+        const points = xs.map((x, i) => {
+          const name = data[i] && data[i].name;
+          let label = x;
+          if (name && (s.type === 'pie' || !datetime)) label = name;
+          else if (categories && categories[x] !== undefined) label = categories[x];
+          else if (datetime) label = isoDay(x);
+          return [label, yValue(ys[i])];
+        });
+        add('highcharts', chart.renderTo, title, s.name, points);
+      }
+    }
+  } catch (e) {}
+
+  // Chart.js (v2-v4 keep live charts in Chart.instances)
+  try {
+    const instances = window.Chart && window.Chart.instances;
+    for (const chart of instances ? Object.values(instances) : []) {
+      const data = chart && chart.data;
+      if (!data || !Array.isArray(data.datasets)) continue;
+      const opts = chart.options || {};
+      const title = (opts.plugins && opts.plugins.title && opts.plugins.title.text) || (opts.title && opts.title.text) || '';
+      const labels = data.labels || [];
+      for (const ds of data.datasets) {
+        const points = (ds.data || []).map((v, i) => {
+          if (v && typeof v === 'object' && !Array.isArray(v)) return [v.x !== undefined ? v.x : labels[i], yValue(v.y !== undefined ? v.y : v.r)];
+          return [labels[i] !== undefined ? labels[i] : i, yValue(v)];
+        });
+        add('chartjs', chart.canvas, Array.isArray(title) ? title.join(' ') : title, ds.label, points);
+      }
+    }
+  } catch (e) {}
+
+  // ECharts: instances are attached to their container element
+  try {
+    const echarts = window.echarts;
+    if (echarts && echarts.getInstanceByDom) {
+      for (const el of document.querySelectorAll('[_echarts_instance_]')) {
+        const inst = echarts.getInstanceByDom(el);
+        const option = inst && inst.getOption && inst.getOption();
+        if (!option) continue;
+        const title = (option.title && option.title[0] && option.title[0].text) || '';
+        const xAxis = option.xAxis && option.xAxis[0];
+        const categories = (xAxis && xAxis.data) || [];
+        for (const s of option.series || []) {
+          const points = (s.data || []).map((v, i) => {
+            if (v && typeof v === 'object' && !Array.isArray(v)) {
+              const val = v.value;
+              if (Array.isArray(val) && val.length >= 2) return [val[0], yValue(val[1])];
+              return [v.name !== undefined ? v.name : categories[i], yValue(val)];
+            }
+            if (Array.isArray(v) && v.length >= 2) return [v[0], yValue(v[1])];
+            return [categories[i] !== undefined ? categories[i] : i, v];
+          });
+          add('echarts', el, title, s.name, points);
+        }
+      }
+    }
+  } catch (e) {}
+
+  // Inline SVG: marks that carry their value in data-* attributes or an aria-label / <title>
+  try {
+    for (const svg of document.querySelectorAll('svg')) {
+      if (Array.from(seen).some((el) => el.contains(svg)) || svg.closest('.highcharts-container')) continue;
+      const groups = new Map();
+      for (const mark of svg.querySelectorAll('rect, circle, ellipse, path, polygon, [role="graphics-symbol"], [data-value]')) {
+        const valueAttr = mark.getAttribute('data-value') ?? mark.getAttribute('data-y');
+        const label = mark.getAttribute('aria-label') || (mark.querySelector(':scope > title') || {}).textContent || '';
+        let x = mark.getAttribute('data-x') ?? mark.getAttribute('data-label') ?? mark.getAttribute('data-category');
+        let y = valueAttr;
+        if (y === null && label) {
+          // "Label: 12.5", "Label, 12.5" or "Label 12.5"
+          const m = label.trim().match(/^(.*?)[\s:,=]+(-?[\d.,]+%?)$/);
+          if (m) { x = x ?? m[1]; y = m[2]; }
+        }
+        if (y === null || y === undefined || x === null || x === undefined) continue;
+        const group = mark.closest('[data-series], [aria-roledescription*="series" i], g[class*="series" i]');
+        const name = group ? (group.getAttribute('data-series') || group.getAttribute('aria-label') || '') : '';
+        if (!groups.has(group)) groups.set(group, { name, points: [] });
+        groups.get(group).points.push([x, y]);
+      }
+      const svgTitle = svg.getAttribute('aria-label') || (svg.querySelector(':scope > title') || {}).textContent || '';
+      for (const { name, points } of groups.values()) {
+        if (points.length >= 3) add('svg', svg, svgTitle, name, points);
+      }
+    }
+  } catch (e) {}
+  return out;
+}
+
+// ---------- SPA hydration state ----------
+// Runs in the page (MAIN world): framework state blobs as plain JSON (functions and cycles dropped).
+// Blobs over 5 MB serialized are skipped rather than shipped back through executeScript.
+// Returns [{ source, data }].
+function readHydrationBlobs() {
+  const GLOBALS = ['__NEXT_DATA__', '__NUXT__', 'ytInitialData', 'ytInitialPlayerResponse', '__APOLLO_STATE__', '__INITIAL_STATE__', '__PRELOADED_STATE__'];
+  const MAX_CHARS = 5 * 1024 * 1024;
+  const out = [];
+  const plain = (value) => {
+    try {
+      const text = JSON.stringify(value);
+      return text && text.length <= MAX_CHARS ? JSON.parse(text) : null;
+    } catch (e) { return null; }
+  };
+  for (const name of GLOBALS) {
+    const data = window[name] && typeof window[name] === 'object' ? plain(window[name]) : null;
+    if (data) out.push({ source: name, data });
+  }
+  // Next.js keeps the blob in a script tag when the global is not exposed
+  if (!out.some((b) => b.source === '__NEXT_DATA__')) {
+    const el = document.getElementById('__NEXT_DATA__');
+    try { if (el && el.textContent.length <= MAX_CHARS) out.push({ source: '__NEXT_DATA__', data: JSON.parse(el.textContent) }); } catch (e) {}
+  }
+  return out;
+}
+
+// Arrays of homogeneous objects inside the blobs become hydration tables with their JSON path
+async function collectHydrationTables(tabId) {
+  let frames = [];
+  try {
+    frames = await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, world: 'MAIN', func: readHydrationBlobs });
+  } catch (e) {
+    console.warn('Hydration read failed:', e?.message || e);
+    return [];
+  }
+  const tables = [];
+  for (const frame of frames || []) {
+    for (const blob of frame.result || []) {
+      for (const { path, items } of findJsonObjectArrays(blob.data, { minItems: 3, maxArrays: 30 })) {
+        const t = jsonObjectsToTable(items);
+        if (!t.headers.length) continue;
+        const table = {
+          type: 'hydration',
+          selector: '',
+          source: blob.source,
+          path,
+          ...t,
+          rowsCount: t.objects.length,
+          colsCount: t.headers.length,
+          frameId: frame.frameId,
+        };
+        table.score = scoreJsonTable(table);
+        tables.push(table);
+      }
+    }
+  }
+  return tables.sort((a, b) => b.score - a.score).slice(0, 15);
+}
+
+// One table per chart series (x, y, series), each scored on its own
+async function collectChartTables(tabId) {
+  let frames = [];
+  try {
+    frames = await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, world: 'MAIN', func: readPageCharts });
+  } catch (e) {
+    console.warn('Chart read failed:', e?.message || e);
+    return [];
+  }
+  const tables = [];
+  for (const frame of frames || []) {
+    for (const chart of frame.result || []) {
+      const headers = ['x', 'y', 'series'];
+      const rows = chart.points.map(([x, y]) => [String(x ?? ''), String(y ?? ''), chart.series]);
+      const table = {
+        type: 'chart-series',
+        selector: chart.selector,
+        source: chart.library,
+        title: chart.title,
+        series: chart.series,
+        headers,
+        rows: [headers, ...rows],
+        objects: rows.map(([x, y, series]) => ({ x, y, series })),
+        rowsCount: rows.length,
+        colsCount: headers.length,
+        frameId: frame.frameId,
+      };
+      table.score = scoreJsonTable(table);
+      tables.push(table);
+    }
+  }
+  return tables;
+}
+
+// Scrape every HTTP(S) frame of a tab and merge into one result
+async function scrapeTabFrames(tabId, payload) {
+  await ensureContentScript(tabId);
+  if (payload?.captureApi) {
+    // Covers tabs opened before capture was enabled (only later requests are seen there)
+    try {
+      await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, files: ['js/api-hook.js'], world: 'MAIN' });
+    } catch (_) {}
+  }
+
+  // Gather results from all frames to include tables inside iframes
+  let frames = [];
+  try {
+    frames = await chrome.webNavigation.getAllFrames({ tabId });
+  } catch (_) {
+    frames = [];
+  }
+
+  // Filter out non-HTTP(S) or blank frames for stability
+  const filtered = (frames || []).filter((f) => {
+    const u = (f && f.url) ? f.url : '';
+    return u && /^https?:/i.test(u) && u !== 'about:blank';
+  });
+
+  const targetFrames = filtered.length ? filtered : [{ frameId: undefined }];
+
+  const calls = targetFrames.map(async (f) => {
+    try {
+      const res = await chrome.tabs.sendMessage(tabId, { type: 'RUN_SCRAPE', payload }, f.frameId !== undefined ? { frameId: f.frameId } : undefined);
+      return { ok: true, frameId: f.frameId, url: f.url, res };
+    } catch (e) {
+      return { ok: false, frameId: f.frameId, error: String(e?.message || e) };
+    }
+  });
+
+  const results = await Promise.all(calls);
+
+  // Merge: prefer top frame for page info; concat tables/links
+  const topFrame = ((filtered.find((fr) => fr.parentFrameId === -1) || filtered[0]) || { frameId: undefined });
+  const topRes = results.find((r) => r.ok && r.frameId === topFrame.frameId) || results.find((r) => r.ok);
+  const merged = topRes?.res ? JSON.parse(JSON.stringify(topRes.res)) : { page: {}, timestamp: new Date().toISOString() };
+  merged.tables = [];
+  merged.links = merged.links || [];
+
+  for (const r of results) {
+    if (!r.ok || !r.res) continue;
+    if (Array.isArray(r.res.tables)) {
+      for (const t of r.res.tables) {
+        merged.tables.push({ ...t, frameId: r.frameId, frameUrl: r.url });
+      }
+    }
+    if (Array.isArray(r.res.links)) {
+      merged.links.push(...r.res.links);
+    }
+  }
+  // A field can live in an iframe: one the top frame found nothing for takes the first frame's value
+  const emptyField = (v) => v === null || v === undefined || v === '' || (Array.isArray(v) && !v.length);
+  for (const r of results) {
+    if (!r.ok || !r.res?.selectors || r === topRes) continue;
+    merged.selectors = merged.selectors || {};
+    for (const [name, value] of Object.entries(r.res.selectors)) {
+      if (emptyField(merged.selectors[name]) && !emptyField(value)) merged.selectors[name] = value;
+    }
+  }
+  if (payload?.captureApi) merged.tables.push(...(await collectApiTables(tabId)));
+  if (payload?.charts) merged.tables.push(...(await collectChartTables(tabId)));
+  if (payload?.hydration) merged.tables.push(...(await collectHydrationTables(tabId)));
+  // dedupe links
+  merged.links = Array.from(new Set(merged.links));
+  const healed = merged.tables.filter((t) => t.healed).map((t) => ({ name: t.tracked, ...t.healed }));
+  if (healed.length) merged.healed = healed;
+  return merged;
+}
+
+// ---------- Tracked tables (self-healing locators) ----------
+// config.tableLocators: [{ name, host, selector, fingerprint }]. content.js relocates the ones whose
+// host is the scraped frame's; a healed table moves its locator to the new selector, or null when
+// nothing changed.
+function locatorHost(url) {
+  try { return new URL(url).hostname; } catch { return ''; }
+}
+
+function healedLocators(locators, tables) {
+  let changed = false;
+  const next = (Array.isArray(locators) ? locators : []).map((loc) => {
+    const t = (tables || []).find((x) => x.healed && x.healed.from === loc.selector && x.tracked === (loc.name || loc.selector)
+      && loc.host && locatorHost(x.frameUrl) === loc.host);
+    if (!t) return loc;
+    changed = true;
+    return { ...loc, selector: t.selector, fingerprint: t.fingerprint || loc.fingerprint, healedAt: Date.now() };
+  });
+  return changed ? next : null;
+}
+
+// Track a table, or stop tracking it when its selector is tracked already
+async function toggleTrackedTable(input) {
+  if (!input?.selector || !input?.fingerprint) throw new Error('Only tables found on the page can be tracked');
+  const host = locatorHost(input.url);
+  if (!host) throw new Error('Page address unknown; scrape the page again');
+  const cfg = (await loadStorage(STORAGE_KEYS.config, null)) || {};
+  const locators = Array.isArray(cfg.tableLocators) ? cfg.tableLocators : [];
+  const same = (l) => l.selector === input.selector && l.host === host;
+  const exists = locators.some(same);
+  const next = exists
+    ? locators.filter((l) => !same(l))
+    : [...locators, { name: input.name || input.selector, host, selector: input.selector, fingerprint: input.fingerprint }];
+  await saveStorage(STORAGE_KEYS.config, { ...cfg, tableLocators: next });
+  return { tracked: !exists, tableLocators: next };
+}
+
+// Rich-cell columns the user switched off in the side panel, by column name ("Player Title")
+async function setRichColumnHidden(input) {
+  if (!input?.name) throw new Error('Column name required');
+  const cfg = (await loadStorage(STORAGE_KEYS.config, null)) || {};
+  const hidden = (Array.isArray(cfg.richCellsHidden) ? cfg.richCellsHidden : []).filter((n) => n !== input.name);
+  if (input.hidden) hidden.push(input.name);
+  await saveStorage(STORAGE_KEYS.config, { ...cfg, richCellsHidden: hidden });
+  return { richCellsHidden: hidden };
+}
+
+// Resolve once the tab finishes loading (or the timeout elapses)
+function waitForTabComplete(tabId, timeoutMs = 30000) {
+  return new Promise((resolve) => {
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      resolve();
+    };
+    const onUpdated = (id, info) => {
+      if (id === tabId && info.status === 'complete') finish();
+    };
+    const timer = setTimeout(finish, timeoutMs);
+    chrome.tabs.onUpdated.addListener(onUpdated);
+  });
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Build the URL of page n from a pattern such as "?page={n}", "/page/{n}/" or a full URL
+function pageUrlFromPattern(pattern, n, baseUrl) {
+  const filled = String(pattern).replace(/\{n\}/g, String(n));
+  if (/^[?&]/.test(filled)) {
+    const url = new URL(baseUrl);
+    for (const [k, v] of new URLSearchParams(filled.slice(1))) url.searchParams.set(k, v);
+    return url.href;
+  }
+  return new URL(filled, baseUrl).href;
+}
+
+function notifyProgress(payload) {
+  try { chrome.runtime.sendMessage({ type: 'SCRAPE_PROGRESS', payload }).catch(() => {}); } catch {}
+}
+
+// Append a page's tables to the accumulated result, one table per tableIdentity
+// (type + selector + request URL without paging params + JSON path + chart series)
+function mergePageTables(acc, pageResult, page, pageUrl) {
+  for (const t of pageResult.tables || []) {
+    const key = tableIdentity(t);
+    let rows = Array.isArray(t.rows) ? t.rows : [];
+    const objects = Array.isArray(t.objects) ? t.objects : [];
+    let target = acc.byKey.get(key);
+    if (!target) {
+      target = { ...t, rows: [], objects: [], rowPages: [], pages: [] };
+      acc.byKey.set(key, target);
+      acc.result.tables.push(target);
+    } else if (Array.isArray(t.headers) && t.headers.length) {
+      // Header rows repeat on every page; keep only the first copy
+      const headerKey = JSON.stringify(t.headers);
+      rows = rows.filter((r) => JSON.stringify(r) !== headerKey);
+    }
+    target.rows.push(...rows);
+    target.objects.push(...objects);
+    for (let i = 0; i < rows.length; i++) target.rowPages.push(page);
+    target.pages.push({ page, url: pageUrl, rows: rows.length });
+    target.rowsCount = target.rows.length;
+  }
+  for (const l of pageResult.links || []) acc.links.add(l);
+}
+
+function pageSignature(result) {
+  return JSON.stringify((result?.tables || []).map((t) => (t.rows || []).slice(0, 3)));
+}
+
+// Walk paginated listings (next-link selector or URL pattern) and merge rows per table selector
+async function crawlPages(tab, payload, firstResult) {
+  const pg = payload.pagination || {};
+  const maxPages = Math.max(1, Math.min(500, parseInt(pg.maxPages, 10) || 10));
+  const delay = parseInt(pg.delayMs, 10);
+  const delayMs = Number.isFinite(delay) ? Math.max(0, delay) : 1000;
+  const startPage = parseInt(pg.startPage, 10) || 1;
+  const startUrl = firstResult?.page?.url || tab.url;
+
+  const acc = {
+    result: { ...firstResult, tables: [], links: [] },
+    byKey: new Map(),
+    links: new Set(),
+  };
+  mergePageTables(acc, firstResult, startPage, startUrl);
+  const visited = new Set([startUrl]);
+  const pages = [{ page: startPage, url: startUrl }];
+  let lastSig = pageSignature(firstResult);
+  notifyProgress({ phase: 'pagination', page: 1, maxPages });
+
+  for (let i = 1; i < maxPages; i++) {
+    const page = startPage + i;
+    let nextUrl = null;
+    if (pg.urlPattern) {
+      nextUrl = pageUrlFromPattern(pg.urlPattern, page, startUrl);
+    } else {
+      let res = null;
+      try {
+        res = await chrome.tabs.sendMessage(tab.id, { type: 'FIND_NEXT_PAGE', payload: { selector: pg.nextSelector } });
+      } catch (_) {}
+      if (!res?.ok) break;
+      nextUrl = res.href || null;
+      // In-page pagination (button without href): content script already clicked it
+      if (!nextUrl && !res.clicked) break;
+    }
+    if (nextUrl && visited.has(nextUrl)) break;
+
+    await sleep(delayMs);
+    if (nextUrl) {
+      visited.add(nextUrl);
+      const loaded = waitForTabComplete(tab.id);
+      await chrome.tabs.update(tab.id, { url: nextUrl });
+      await loaded;
+    }
+
+    let pageResult;
+    try {
+      pageResult = await scrapeTabFrames(tab.id, payload);
+    } catch (e) {
+      console.warn('Pagination scrape failed:', e?.message || e);
+      break;
+    }
+    const pageUrl = pageResult?.page?.url || nextUrl || '';
+    const newRows = (pageResult.tables || []).reduce((n, t) => n + (Array.isArray(t.rows) ? t.rows.length : 0), 0);
+    if (!newRows) break;
+    // Stop when a click-driven pager no longer changes the content
+    const sig = pageSignature(pageResult);
+    if (sig === lastSig) break;
+    lastSig = sig;
+    mergePageTables(acc, pageResult, page, pageUrl);
+    pages.push({ page, url: pageUrl });
+    notifyProgress({ phase: 'pagination', page: i + 1, maxPages });
+  }
+
+  acc.result.links = Array.from(acc.links);
+  acc.result.pagination = { pages, pageCount: pages.length };
+  return acc.result;
+}
+
+// ---------- Scheduled jobs (chrome.alarms) ----------
+// Schedule strings: "@hourly", "@daily", "every 30m|6h|2d", "daily 07:30"
+function parseSchedule(spec) {
+  const str = String(spec || '').trim().toLowerCase();
+  if (str === '@hourly') return { periodInMinutes: 60 };
+  if (str === '@daily') return { periodInMinutes: 1440 };
+  let m = str.match(/^every\s+(\d+)\s*(m|min|minutes?|h|hours?|d|days?)$/);
+  if (m) {
+    const n = parseInt(m[1], 10);
+    const unit = m[2][0];
+    const minutes = unit === 'd' ? n * 1440 : unit === 'h' ? n * 60 : n;
+    if (minutes < 1) throw new Error('Interval must be at least 1 minute');
+    return { periodInMinutes: minutes };
+  }
+  m = str.match(/^daily\s+(\d{1,2}):(\d{2})$/);
+  if (m) {
+    const h = parseInt(m[1], 10);
+    const min = parseInt(m[2], 10);
+    if (h > 23 || min > 59) throw new Error(`Invalid time: ${spec}`);
+    const next = new Date();
+    next.setHours(h, min, 0, 0);
+    if (next.getTime() <= Date.now()) next.setDate(next.getDate() + 1);
+    return { when: next.getTime(), periodInMinutes: 1440 };
+  }
+  throw new Error(`Unsupported schedule: ${spec}`);
+}
+
+async function loadJobs() {
+  return loadLocal(LOCAL_KEYS.jobs, []);
+}
+
+async function scheduleJob(job) {
+  await chrome.alarms.clear(JOB_ALARM_PREFIX + job.id);
+  if (job.enabled === false) return;
+  const sched = parseSchedule(job.schedule);
+  chrome.alarms.create(JOB_ALARM_PREFIX + job.id, {
+    when: sched.when || Date.now() + sched.periodInMinutes * 60000,
+    periodInMinutes: sched.periodInMinutes,
+  });
+}
+
+// Recreate alarms from stored jobs (alarms may be dropped on browser restart/update)
+async function syncJobAlarms() {
+  const jobs = await loadJobs();
+  const existing = await chrome.alarms.getAll();
+  const ids = new Set(jobs.map((j) => JOB_ALARM_PREFIX + j.id));
+  for (const a of existing) {
+    if (a.name.startsWith(JOB_ALARM_PREFIX) && !ids.has(a.name)) await chrome.alarms.clear(a.name);
+  }
+  for (const job of jobs) {
+    const has = existing.some((a) => a.name === JOB_ALARM_PREFIX + job.id);
+    if (!has) {
+      try { await scheduleJob(job); } catch (e) { console.warn('Job schedule failed:', job.name, e?.message || e); }
+    }
+  }
+}
+
+async function saveJob(input) {
+  if (!input || !input.url) throw new Error('Job URL is required');
+  parseSchedule(input.schedule); // validate before persisting
+  const jobs = await loadJobs();
+  const job = {
+    id: input.id || `job_${Date.now().toString(36)}`,
+    name: input.name || input.url,
+    url: input.url,
+    schedule: input.schedule,
+    config: input.config || (await loadStorage(STORAGE_KEYS.config, {})) || {},
+    enabled: input.enabled !== false,
+    created: input.created || Date.now(),
+  };
+  const idx = jobs.findIndex((j) => j.id === job.id);
+  if (idx >= 0) jobs[idx] = { ...jobs[idx], ...job };
+  else jobs.push(job);
+  await saveLocal(LOCAL_KEYS.jobs, jobs);
+  await scheduleJob(job);
+  return job;
+}
+
+async function deleteJob(id) {
+  const jobs = await loadJobs();
+  await saveLocal(LOCAL_KEYS.jobs, jobs.filter((j) => j.id !== id));
+  await chrome.alarms.clear(JOB_ALARM_PREFIX + id);
+  const results = await loadLocal(LOCAL_KEYS.jobResults, {});
+  delete results[id];
+  await saveLocal(LOCAL_KEYS.jobResults, results);
+}
+
+async function storeJobResult(job, entry) {
+  const results = await loadLocal(LOCAL_KEYS.jobResults, {});
+  const list = Array.isArray(results[job.id]) ? results[job.id] : [];
+  list.unshift(entry);
+  results[job.id] = list.slice(0, JOB_RESULTS_KEEP);
+  try {
+    await saveLocal(LOCAL_KEYS.jobResults, results);
+  } catch (e) {
+    // Quota exceeded: keep only the newest run
+    results[job.id] = [entry];
+    await saveLocal(LOCAL_KEYS.jobResults, results);
+  }
+}
+
+async function pushToBackend(data) {
+  const be = await loadStorage(STORAGE_KEYS.backend, null);
+  if (!be || !be.url) return null;
+  const init = { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(data) };
+  if (be.token) init.headers['Authorization'] = be.token;
+  const res = await backgroundFetch(be.url, init, { timeoutMs: 15000, retries: 2 });
+  return { ok: res.ok, status: res.status };
+}
+
+async function openTabAndWait(url) {
+  const tab = await chrome.tabs.create({ url, active: false });
+  const loaded = waitForTabComplete(tab.id);
+  // The load may already have finished before the listener was attached
+  const current = await chrome.tabs.get(tab.id).catch(() => null);
+  if (!(current && current.status === 'complete' && /^https?:/i.test(current.url || ''))) await loaded;
+  return tab;
+}
+
+// Open the job URL in a background tab, scrape it, store the result and upload it
+async function runJob(jobId) {
+  const jobs = await loadJobs();
+  const job = jobs.find((j) => j.id === jobId);
+  if (!job) throw new Error(`Job not found: ${jobId}`);
+  const startedAt = Date.now();
+  let tab = null;
+  let healedTableLocators = null;
+  const entry = { jobId: job.id, startedAt, ok: false };
+  try {
+    tab = await openTabAndWait(job.url);
+    const payload = { ...(job.config || {}), mode: job.config?.mode || 'auto' };
+    let result = await scrapeTabFrames(tab.id, payload);
+    healedTableLocators = result.healed ? healedLocators(payload.tableLocators, result.tables) : null;
+    if (payload.pagination && (payload.pagination.nextSelector || payload.pagination.urlPattern)) {
+      result = await crawlPages(tab, payload, result);
+    }
+    result.job = { id: job.id, name: job.name };
+    entry.ok = true;
+    entry.result = result;
+    entry.tableCount = Array.isArray(result.tables) ? result.tables.length : 0;
+    try {
+      entry.upload = await pushToBackend(result);
+    } catch (e) {
+      entry.upload = { ok: false, error: String(e?.message || e) };
+    }
+  } catch (e) {
+    entry.error = String(e?.message || e);
+  } finally {
+    if (tab?.id) { try { await chrome.tabs.remove(tab.id); } catch {} }
+  }
+  entry.finishedAt = Date.now();
+  await storeJobResult(job, entry);
+  const updated = (await loadJobs()).map((j) => {
+    if (j.id !== job.id) return j;
+    const next = { ...j, lastRun: entry.finishedAt, lastStatus: entry.ok ? 'ok' : 'error' };
+    // A job keeps its own config copy; healed table locators are saved into it
+    if (healedTableLocators) next.config = { ...(j.config || {}), tableLocators: healedTableLocators };
+    return next;
+  });
+  await saveLocal(LOCAL_KEYS.jobs, updated);
+  try { chrome.runtime.sendMessage({ type: 'JOB_FINISHED', payload: { jobId: job.id, ok: entry.ok, error: entry.error } }).catch(() => {}); } catch {}
+  return entry;
+}
+
+// ---------- Follow links (one detail page per row) ----------
+// Crawl state is persisted after every page so a cancelled or interrupted crawl can resume
+const ACTIVE_CRAWLS = new Map(); // id -> { cancelled }
+let linkCrawlSaves = Promise.resolve();
+
+async function loadLinkCrawls() {
+  return loadLocal(LOCAL_KEYS.linkCrawls, []);
+}
+
+// Serialized: concurrent workers would otherwise overwrite each other's writes
+function saveLinkCrawl(crawl) {
+  linkCrawlSaves = linkCrawlSaves.catch(() => {}).then(async () => {
+    const list = (await loadLinkCrawls()).filter((c) => c.id !== crawl.id);
+    list.unshift({ ...crawl, updated: Date.now() });
+    await saveLocal(LOCAL_KEYS.linkCrawls, list.slice(0, LINK_CRAWLS_KEEP));
+  });
+  return linkCrawlSaves;
+}
+
+// A crawl stored as running but not active in this worker was interrupted (worker restart)
+function linkCrawlStatus(crawl) {
+  if (crawl.status === 'running' && !ACTIVE_CRAWLS.has(crawl.id)) return 'interrupted';
+  return crawl.status;
+}
+
+function linkCrawlSummary(crawl) {
+  const results = (crawl.results || []).filter(Boolean);
+  return {
+    id: crawl.id,
+    name: crawl.name,
+    sourceUrl: crawl.sourceUrl,
+    status: linkCrawlStatus(crawl),
+    total: crawl.links.length,
+    done: results.length,
+    failed: results.filter((r) => !r.ok).length,
+    created: crawl.created,
+    finishedAt: crawl.finishedAt,
+  };
+}
+
+function notifyLinkCrawl(crawl) {
+  try { chrome.runtime.sendMessage({ type: 'LINK_CRAWL_PROGRESS', payload: linkCrawlSummary(crawl) }).catch(() => {}); } catch {}
+}
+
+// One row per visited detail page: URL, one column per field, Error when any page failed
+function linkCrawlTable(crawl) {
+  const names = (crawl.fields || []).map((f) => f.name || f.key || f.selector);
+  const results = (crawl.results || []).filter(Boolean);
+  const withError = results.some((r) => !r.ok);
+  const headers = ['URL', ...names, ...(withError ? ['Error'] : [])];
+  // Nested schema fields come back as records; keep them as JSON in the cell
+  const cell = (v) => {
+    if (Array.isArray(v) && v.every((x) => x === null || typeof x !== 'object')) return v.join(' | ');
+    return v && typeof v === 'object' ? JSON.stringify(v) : String(v ?? '');
+  };
+  const rows = results.map((r) => [r.url, ...names.map((n) => cell(r.fields?.[n])), ...(withError ? [r.error || ''] : [])]);
+  return {
+    type: 'detail-pages',
+    selector: crawl.name || crawl.sourceUrl || '',
+    headers,
+    rows: [headers, ...rows],
+    objects: results.map((r) => ({ URL: r.url, ...(r.fields || {}), ...(r.error ? { Error: r.error } : {}) })),
+    crawlId: crawl.id,
+  };
+}
+
+async function createLinkCrawl(input) {
+  const links = Array.from(new Set((input?.links || []).filter((l) => /^https?:/i.test(String(l)))));
+  if (!links.length) throw new Error('No links to follow');
+  const fields = Array.isArray(input.fields) ? input.fields.filter((f) => f && f.selector) : [];
+  if (!fields.length) throw new Error('At least one field selector is required');
+  const delay = parseInt(input.delayMs, 10);
+  const crawl = {
+    id: `crawl_${Date.now().toString(36)}`,
+    name: input.name || '',
+    sourceUrl: input.sourceUrl || '',
+    links,
+    fields,
+    concurrency: Math.max(1, Math.min(4, parseInt(input.concurrency, 10) || 2)),
+    delayMs: Number.isFinite(delay) ? Math.max(0, delay) : 1500,
+    status: 'pending',
+    results: [],
+    created: Date.now(),
+  };
+  await saveLinkCrawl(crawl);
+  return crawl;
+}
+
+async function extractDetailFields(tabId, fields) {
+  await ensureContentScript(tabId);
+  const res = await chrome.tabs.sendMessage(tabId, { type: 'EXTRACT_FIELDS', payload: { selectors: fields } }, { frameId: 0 });
+  if (!res?.ok) throw new Error(res?.error || 'Field extraction failed');
+  return res.fields || {};
+}
+
+// Visit every link not yet done with `concurrency` background tabs, waiting delayMs between pages
+async function runLinkCrawl(id) {
+  if (ACTIVE_CRAWLS.has(id)) throw new Error('Crawl is already running');
+  const crawl = (await loadLinkCrawls()).find((c) => c.id === id);
+  if (!crawl) throw new Error(`Crawl not found: ${id}`);
+  const control = { cancelled: false };
+  ACTIVE_CRAWLS.set(id, control);
+  crawl.results = crawl.results || [];
+  crawl.status = 'running';
+  delete crawl.finishedAt;
+  delete crawl.error;
+  const queue = crawl.links.map((_, i) => i).filter((i) => !crawl.results[i]);
+
+  const worker = async () => {
+    let tab = null;
+    try {
+      while (queue.length && !control.cancelled) {
+        const i = queue.shift();
+        const url = crawl.links[i];
+        try {
+          if (tab) {
+            const loaded = waitForTabComplete(tab.id);
+            await chrome.tabs.update(tab.id, { url });
+            await loaded;
+          } else {
+            tab = await openTabAndWait(url);
+          }
+          crawl.results[i] = { url, ok: true, fields: await extractDetailFields(tab.id, crawl.fields) };
+        } catch (e) {
+          crawl.results[i] = { url, ok: false, error: String(e?.message || e) };
+          // The tab may have been closed; open a fresh one for the next link
+          if (tab?.id) { try { await chrome.tabs.remove(tab.id); } catch {} }
+          tab = null;
+        }
+        await saveLinkCrawl(crawl);
+        notifyLinkCrawl(crawl);
+        if (queue.length && !control.cancelled) await sleep(crawl.delayMs);
+      }
+    } finally {
+      if (tab?.id) { try { await chrome.tabs.remove(tab.id); } catch {} }
+    }
+  };
+
+  try {
+    await saveLinkCrawl(crawl);
+    notifyLinkCrawl(crawl);
+    await Promise.all(Array.from({ length: Math.min(crawl.concurrency, Math.max(1, queue.length)) }, worker));
+    crawl.status = control.cancelled ? 'cancelled' : 'done';
+  } catch (e) {
+    crawl.status = 'error';
+    crawl.error = String(e?.message || e);
+  } finally {
+    ACTIVE_CRAWLS.delete(id);
+  }
+  crawl.finishedAt = Date.now();
+  await saveLinkCrawl(crawl);
+  notifyLinkCrawl(crawl);
+  return crawl;
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (!alarm?.name?.startsWith(JOB_ALARM_PREFIX)) return;
+  runJob(alarm.name.slice(JOB_ALARM_PREFIX.length)).catch((e) => console.warn('Scheduled job failed:', e?.message || e));
+});
+async function syncApiHookFromConfig() {
+  const cfg = await loadStorage(STORAGE_KEYS.config, null);
+  await syncApiHook(!!cfg?.captureApi);
+}
+
+chrome.runtime.onStartup.addListener(() => { syncJobAlarms().catch(() => {}); });
+chrome.runtime.onInstalled.addListener(() => {
+  syncJobAlarms().catch(() => {});
+  syncApiHookFromConfig().catch((e) => console.warn('API hook sync failed:', e?.message || e));
+});
+
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
     switch (msg?.type) {
       case 'SAVE_CONFIG': {
         await saveStorage(STORAGE_KEYS.config, msg.payload);
+        await syncApiHook(!!msg.payload?.captureApi);
         sendResponse({ ok: true });
         break;
       }
@@ -119,56 +1013,28 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       }
       case 'RUN_SCRAPE': {
         const tab = await getActiveTab();
-        await ensureContentScript(tab.id);
-
-        // Gather results from all frames to include tables inside iframes
-        let frames = [];
-        try {
-          frames = await chrome.webNavigation.getAllFrames({ tabId: tab.id });
-        } catch (_) {
-          frames = [];
+        // Fields saved with the field picker, tracked tables and hidden rich-cell columns live in the stored config
+        const stored = msg.payload ? await loadStorage(STORAGE_KEYS.config, null) : null;
+        // API capture, chart and hydration tables are saved settings; the side panel does not send them
+        for (const key of ['captureApi', 'charts', 'hydration']) {
+          if (msg.payload && msg.payload[key] === undefined && stored?.[key]) msg.payload[key] = true;
         }
-
-        // Filter out non-HTTP(S) or blank frames for stability
-        const filtered = (frames || []).filter((f) => {
-          const u = (f && f.url) ? f.url : '';
-          return u && /^https?:/i.test(u) && u !== 'about:blank';
-        });
-
-        const targetFrames = filtered.length ? filtered : [{ frameId: undefined }];
-
-        const calls = targetFrames.map(async (f) => {
-          try {
-            const res = await chrome.tabs.sendMessage(tab.id, { type: 'RUN_SCRAPE', payload: msg.payload }, f.frameId !== undefined ? { frameId: f.frameId } : undefined);
-            return { ok: true, frameId: f.frameId, url: f.url, res };
-          } catch (e) {
-            return { ok: false, frameId: f.frameId, error: String(e?.message || e) };
-          }
-        });
-
-        const results = await Promise.all(calls);
-
-        // Merge: prefer top frame for page info; concat tables/links
-        const topFrame = ((filtered.find((fr) => fr.parentFrameId === -1) || filtered[0]) || { frameId: undefined });
-        const topRes = results.find((r) => r.ok && r.frameId === topFrame.frameId) || results.find((r) => r.ok);
-        const merged = topRes?.res ? JSON.parse(JSON.stringify(topRes.res)) : { page: {}, timestamp: new Date().toISOString() };
-        merged.tables = [];
-        merged.links = merged.links || [];
-
-        for (const r of results) {
-          if (!r.ok || !r.res) continue;
-          if (Array.isArray(r.res.tables)) {
-            for (const t of r.res.tables) {
-              merged.tables.push({ ...t, frameId: r.frameId, frameUrl: r.url });
-            }
-          }
-          if (Array.isArray(r.res.links)) {
-            merged.links.push(...r.res.links);
-          }
+        if (msg.payload && !(Array.isArray(msg.payload.selectors) && msg.payload.selectors.length)) {
+          if (Array.isArray(stored?.selectors) && stored.selectors.length) msg.payload.selectors = stored.selectors;
+        }
+        if (msg.payload && msg.payload.tableLocators === undefined && Array.isArray(stored?.tableLocators)) {
+          msg.payload.tableLocators = stored.tableLocators;
+        }
+        if (msg.payload?.richCells === true) {
+          msg.payload.richCells = { hidden: Array.isArray(stored?.richCellsHidden) ? stored.richCellsHidden : [] };
+        }
+        let merged = await scrapeTabFrames(tab.id, msg.payload);
+        const healed = merged.healed ? healedLocators(stored?.tableLocators, merged.tables) : null;
+        if (healed) await saveStorage(STORAGE_KEYS.config, { ...stored, tableLocators: healed });
+        const pg = msg.payload?.pagination;
+        if (pg && (pg.nextSelector || pg.urlPattern)) {
+          merged = await crawlPages(tab, msg.payload, merged);
         }
-        // dedupe links
-        merged.links = Array.from(new Set(merged.links));
-
         sendResponse({ ok: true, result: merged });
         break;
       }
@@ -185,6 +1051,52 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         }
         break;
       }
+      case 'START_FIELD_PICK': {
+        const tab = await getActiveTab();
+        await ensureContentScript(tab.id);
+        await ensurePageCss(tab.id);
+        try {
+          // One frame at a time (the top frame unless the side panel names one), not every iframe
+          const frameId = Number.isInteger(msg.payload?.frameId) ? msg.payload.frameId : 0;
+          const res = await chrome.tabs.sendMessage(tab.id, { type: 'START_FIELD_PICK' }, { frameId });
+          sendResponse({ ok: true, started: true, info: res });
+        } catch (e) {
+          sendResponse({ ok: false, error: String(e?.message || e) });
+        }
+        break;
+      }
+      case 'TRACK_TABLE': {
+        try {
+          sendResponse({ ok: true, ...(await toggleTrackedTable(msg.payload)) });
+        } catch (e) {
+          sendResponse({ ok: false, error: String(e?.message || e) });
+        }
+        break;
+      }
+      case 'SET_RICH_COLUMN': {
+        try {
+          sendResponse({ ok: true, ...(await setRichColumnHidden(msg.payload)) });
+        } catch (e) {
+          sendResponse({ ok: false, error: String(e?.message || e) });
+        }
+        break;
+      }
+      case 'FIELD_PICKED': {
+        try {
+          // Same name replaces the earlier field, so re-picking fixes a selector
+          const field = msg.payload?.field;
+          if (!field?.name || !field?.selector) throw new Error('Field needs a name and a selector');
+          const cfg = (await loadStorage(STORAGE_KEYS.config, null)) || {};
+          const selectors = (Array.isArray(cfg.selectors) ? cfg.selectors : []).filter((s) => (s.name || s.key) !== field.name);
+          selectors.push(field);
+          await saveStorage(STORAGE_KEYS.config, { ...cfg, selectors });
+          try { chrome.runtime.sendMessage({ type: 'FIELD_SAVED', payload: { field, count: msg.payload.count, selectors } }).catch(() => {}); } catch {}
+          sendResponse({ ok: true, selectors });
+        } catch (e) {
+          sendResponse({ ok: false, error: String(e?.message || e) });
+        }
+        break;
+      }
       case 'STOP_SELECTION': {
         try {
           const tab = await getActiveTab();
@@ -223,9 +1135,9 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         try {
           const tab = await getActiveTab();
           await ensureContentScript(tab.id);
-          const { selector, frameId } = msg.payload || {};
+          const { selector, fingerprint, frameId } = msg.payload || {};
           const target = frameId !== undefined ? { frameId } : undefined;
-          const res = await chrome.tabs.sendMessage(tab.id, { type: 'HIGHLIGHT_TABLE', selector }, target);
+          const res = await chrome.tabs.sendMessage(tab.id, { type: 'HIGHLIGHT_TABLE', selector, fingerprint }, target);
           sendResponse(res || { ok: true });
         } catch (e) {
           sendResponse({ ok: false, error: String(e?.message || e) });
@@ -236,15 +1148,84 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         try {
           const tab = await getActiveTab();
           await ensureContentScript(tab.id);
-          const { selector, frameId } = msg.payload || {};
+          const { selector, fingerprint, frameId } = msg.payload || {};
           const target = frameId !== undefined ? { frameId } : undefined;
-          const res = await chrome.tabs.sendMessage(tab.id, { type: 'GET_TABLE_SNAPSHOT', payload: { selector } }, target);
+          const res = await chrome.tabs.sendMessage(tab.id, { type: 'GET_TABLE_SNAPSHOT', payload: { selector, fingerprint } }, target);
           sendResponse(res || { ok: false, error: 'No response' });
         } catch (e) {
           sendResponse({ ok: false, error: String(e?.message || e) });
         }
         break;
       }
+      case 'LIST_JOBS': {
+        const jobs = await loadJobs();
+        sendResponse({ ok: true, jobs });
+        break;
+      }
+      case 'SAVE_JOB': {
+        const job = await saveJob(msg.payload);
+        sendResponse({ ok: true, job });
+        break;
+      }
+      case 'DELETE_JOB': {
+        await deleteJob(msg.payload?.id);
+        sendResponse({ ok: true });
+        break;
+      }
+      case 'RUN_JOB_NOW': {
+        const entry = await runJob(msg.payload?.id);
+        sendResponse({ ok: entry.ok, entry, error: entry.error });
+        break;
+      }
+      case 'GET_JOB_RESULTS': {
+        const results = await loadLocal(LOCAL_KEYS.jobResults, {});
+        sendResponse({ ok: true, results: msg.payload?.id ? (results[msg.payload.id] || []) : results });
+        break;
+      }
+      case 'START_LINK_CRAWL': {
+        const crawl = await createLinkCrawl(msg.payload);
+        // Runs in the background; progress arrives as LINK_CRAWL_PROGRESS
+        runLinkCrawl(crawl.id).catch((e) => console.warn('Link crawl failed:', e?.message || e));
+        sendResponse({ ok: true, crawl: linkCrawlSummary(crawl) });
+        break;
+      }
+      case 'RESUME_LINK_CRAWL': {
+        const id = msg.payload?.id;
+        if (ACTIVE_CRAWLS.has(id)) throw new Error('Crawl is already running');
+        const crawl = (await loadLinkCrawls()).find((c) => c.id === id);
+        if (!crawl) throw new Error(`Crawl not found: ${id}`);
+        runLinkCrawl(id).catch((e) => console.warn('Link crawl failed:', e?.message || e));
+        sendResponse({ ok: true, crawl: linkCrawlSummary(crawl) });
+        break;
+      }
+      case 'CANCEL_LINK_CRAWL': {
+        const control = ACTIVE_CRAWLS.get(msg.payload?.id);
+        if (control) control.cancelled = true;
+        sendResponse({ ok: true, cancelled: !!control });
+        break;
+      }
+      case 'LIST_LINK_CRAWLS': {
+        const crawls = await loadLinkCrawls();
+        sendResponse({ ok: true, crawls: crawls.map(linkCrawlSummary) });
+        break;
+      }
+      case 'GET_LINK_CRAWL': {
+        const crawl = (await loadLinkCrawls()).find((c) => c.id === msg.payload?.id);
+        if (!crawl) throw new Error(`Crawl not found: ${msg.payload?.id}`);
+        sendResponse({ ok: true, crawl: linkCrawlSummary(crawl), table: linkCrawlTable(crawl) });
+        break;
+      }
+      case 'EXPORT_DATA':
+      case 'GET_SETTINGS':
+      case 'SAVE_SETTINGS': {
+        await motuweBackground.handleMessage(msg, sender, sendResponse);
+        break;
+      }
+      case 'SCRAPE_PROGRESS': {
+        // Sent by content scripts for the side panel (load-all); nothing to do here
+        sendResponse({ ok: true });
+        break;
+      }
       case 'BACKGROUND_FETCH': {
         const res = await backgroundFetch(msg.payload.url, msg.payload.init, msg.payload.options || {});
         sendResponse({ ok: true, response: res });
@@ -11,6 +11,10 @@ if (typeof window !== 'undefined') {
 
 // Scan tuning flag set per run
 let __motuweDeepScan = false;
+// Rich-cell mode for the run: null, or { hidden: ['Player Title', ...] }
+let __motuweRichCells = null;
+// Group/totals rows for the run: null (keep as rows), 'remove' or 'flag'
+let __motuweGroupRows = null;
 
 function nowIso() {
   return new Date().toISOString();
@@ -87,18 +91,35 @@ function getAttr(el, attr) {
   return el?.getAttribute?.(attr) || '';
 }
 
-function extractBySelectors(selectors = []) {
+// Schema: js/extraction-schema.js. Nested `fields` are resolved inside each matched element,
+// so a list of rows comes back as an array of records.
+function extractField(field, scope) {
+  const multiple = !!(field.multiple || field.all);
+  let nodes = [];
+  if (!field.selector) {
+    nodes = scope.nodeType === 1 ? [scope] : [];
+  } else {
+    try {
+      nodes = resolveSelectorAll(field.selector, scope);
+      if (!multiple) nodes = nodes.slice(0, 1);
+    } catch { nodes = []; }
+  }
+  const nested = Array.isArray(field.fields) && field.fields.length;
+  const read = (node) => nested
+    ? extractBySelectors(field.fields, node)
+    : applyFieldTransforms(getAttr(node, field.attr), field.transform, location.href);
+  if (multiple) return nodes.map(read);
+  if (nodes.length) return read(nodes[0]);
+  return field.default !== undefined ? field.default : (nested ? null : '');
+}
+
+function extractBySelectors(selectors = [], scope = document) {
   const out = {};
   for (const s of selectors) {
     const name = s.name || s.key || s.selector;
-    if (!name || !s.selector) continue;
-    if (s.all) {
-      const nodes = Array.from(document.querySelectorAll(s.selector));
-      out[name] = nodes.map((n) => getAttr(n, s.attr));
-    } else {
-      const node = document.querySelector(s.selector);
-      out[name] = node ? getAttr(node, s.attr) : '';
-    }
+    // Only nested fields may omit the selector (they then read the matched element)
+    if (!name || (!s.selector && scope === document)) continue;
+    out[name] = extractField(s, scope);
   }
   return out;
 }
@@ -124,6 +145,117 @@ function extractJsonLd() {
   return data;
 }
 
+// ---------- Structured data: JSON-LD, microdata, RDFa -> one table per @type ----------
+function schemaTypeName(type) {
+  const t = Array.isArray(type) ? type[0] : type;
+  return String(t || '').split(/[/#:]/).pop();
+}
+
+// Drop JSON-LD plumbing keys; nested @type is implied by the column path
+function cleanJsonLdEntity(value, top = true) {
+  if (Array.isArray(value)) return value.map((v) => cleanJsonLdEntity(v, false));
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (k === '@context' || (!top && k === '@type')) continue;
+    out[k] = cleanJsonLdEntity(v, false);
+  }
+  return out;
+}
+
+function jsonLdEntities() {
+  const entities = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) { node.forEach(visit); return; }
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node['@graph'])) { node['@graph'].forEach(visit); return; }
+    const type = schemaTypeName(node['@type']);
+    // ItemList: the listed things are the rows (ListItem.item when present)
+    if (type === 'ItemList' && Array.isArray(node.itemListElement)) {
+      node.itemListElement.forEach((el) => {
+        const item = el && typeof el === 'object' && el.item && typeof el.item === 'object' ? { position: el.position, ...el.item } : el;
+        visit(item);
+      });
+      return;
+    }
+    if (type) entities.push({ type, format: 'json-ld', data: cleanJsonLdEntity(node) });
+  };
+  extractJsonLd().forEach(visit);
+  return entities;
+}
+
+// Value of a microdata/RDFa property element (attributes before text, per the specs)
+function structuredValue(el, attrs) {
+  for (const attr of attrs) {
+    const v = el.getAttribute(attr);
+    if (v !== null && v !== '') return attr === 'href' || attr === 'src' ? (el[attr] || v) : v;
+  }
+  return getText(el);
+}
+
+// Properties of one scope: nested scopes become nested objects, repeated properties arrays
+function readStructuredScope(scope, { scopeAttr, propAttr, typeAttr, valueAttrs }) {
+  const out = { '@type': schemaTypeName(scope.getAttribute(typeAttr)) };
+  const props = Array.from(scope.querySelectorAll(`[${propAttr}]`))
+    .filter((el) => el.parentElement && el.parentElement.closest(`[${scopeAttr}]`) === scope);
+  for (const el of props) {
+    const value = el.hasAttribute(scopeAttr)
+      ? readStructuredScope(el, { scopeAttr, propAttr, typeAttr, valueAttrs })
+      : structuredValue(el, valueAttrs);
+    if (value && typeof value === 'object') delete value['@type'];
+    for (const raw of el.getAttribute(propAttr).split(/\s+/).filter(Boolean)) {
+      const name = raw.split(/[/#:]/).pop();
+      if (name in out) out[name] = [].concat(out[name], value);
+      else out[name] = value;
+    }
+  }
+  return out;
+}
+
+function microdataEntities() {
+  const opts = { scopeAttr: 'itemscope', propAttr: 'itemprop', typeAttr: 'itemtype', valueAttrs: ['content', 'datetime', 'href', 'src', 'data', 'value'] };
+  return Array.from(document.querySelectorAll('[itemscope]:not([itemprop])'))
+    .map((el) => readStructuredScope(el, opts))
+    .filter((d) => d['@type'])
+    .map((data) => ({ type: data['@type'], format: 'microdata', data }));
+}
+
+function rdfaEntities() {
+  const opts = { scopeAttr: 'typeof', propAttr: 'property', typeAttr: 'typeof', valueAttrs: ['content', 'datetime', 'resource', 'href', 'src'] };
+  return Array.from(document.querySelectorAll('[typeof]:not([property])'))
+    .map((el) => readStructuredScope(el, opts))
+    .filter((d) => d['@type'])
+    .map((data) => ({ type: data['@type'], format: 'rdfa', data }));
+}
+
+// Typed entity tables (js/json-tables.js flattens nested fields into "offers.price" columns)
+function extractStructuredDataTables() {
+  const byType = new Map();
+  for (const e of [...jsonLdEntities(), ...microdataEntities(), ...rdfaEntities()]) {
+    if (!byType.has(e.type)) byType.set(e.type, []);
+    byType.get(e.type).push(e);
+  }
+  const tables = [];
+  for (const [type, entities] of byType) {
+    // The table is per type already; drop the redundant @type column
+    const t = jsonObjectsToTable(entities.map(({ data }) => { const { '@type': _type, ...rest } = data; return rest; }));
+    if (!t.headers.length) continue;
+    const table = {
+      type: 'structured-data',
+      selector: '',
+      source: `schema.org/${type}`,
+      entityType: type,
+      formats: uniq(entities.map((e) => e.format)),
+      ...t,
+      rowsCount: t.objects.length,
+      colsCount: t.headers.length,
+    };
+    table.score = scoreJsonTable(table);
+    tables.push(table);
+  }
+  return tables;
+}
+
 function pickLargestImages(max = 8) {
   const imgs = Array.from(document.images || []);
   const scored = imgs
@@ -182,7 +314,7 @@ function autoExtractBasics() {
 
 function extractLinks({ linkSelector, linkPatterns }) {
   let links = [];
-  const els = Array.from(document.querySelectorAll(linkSelector || 'a[href]'));
+  const els = resolveSelectorAll(linkSelector || 'a[href]');
   for (const a of els) {
     const href = a.href || a.getAttribute('href');
     if (!href) continue;
@@ -200,8 +332,7 @@ function extractLinks({ linkSelector, linkPatterns }) {
 
 function extractTables({ tableSelector }) {
   if (!tableSelector) return [];
-  const tables = Array.from(document.querySelectorAll(tableSelector));
-  return tables.map((t) => tableToMatrix(t));
+  return resolveTableElements(tableSelector).map((t) => tableToMatrix(t));
 }
 
 function extractKVFromTable(table) {
@@ -277,47 +408,176 @@ function isVisible(el) {
   return cs.display !== 'none' && cs.visibility !== 'hidden';
 }
 
+// Rows that belong to this table (not to nested tables), in the shape js/table-grid.js expects
+function tableGridRows(tableEl) {
+  return Array.from(tableEl.querySelectorAll('tr'))
+    .filter((tr) => tr.closest('table') === tableEl)
+    .map((tr) => {
+      const cells = Array.from(tr.children).filter((c) => c.nodeName === 'TD' || c.nodeName === 'TH');
+      return {
+        inHead: tr.parentElement?.nodeName === 'THEAD',
+        hasTh: cells.some((c) => c.nodeName === 'TH'),
+        allTh: cells.length > 0 && cells.every((c) => c.nodeName === 'TH'),
+        cells: cells.map((c) => ({ text: c.textContent, colSpan: c.getAttribute('colspan'), rowSpan: c.getAttribute('rowspan'), el: c }))
+      };
+    })
+    .filter((row) => row.cells.length);
+}
+
+// What getText drops from a cell: link target, image alt/title (flags, crests), tooltip
+// and the cell's own data-* attributes. Keys become the column suffix.
+function cellDetails(el) {
+  const out = {};
+  const link = el.matches('a[href]') ? el : el.querySelector('a[href]');
+  const href = (link?.getAttribute('href') || '').trim();
+  if (href && !/^(#|javascript:)/i.test(href)) {
+    try { out.URL = new URL(href, location.href).href; } catch {}
+  }
+  const images = Array.from(el.querySelectorAll('img'))
+    .map((img) => normalizeGridText(img.getAttribute('alt') || img.getAttribute('title')))
+    .filter(Boolean);
+  if (images.length) out.Image = Array.from(new Set(images)).join(', ');
+  const titled = [el, ...el.querySelectorAll('[title]:not(img)')].find((n) => (n.getAttribute('title') || '').trim());
+  if (titled) out.Title = normalizeGridText(titled.getAttribute('title'));
+  for (const attr of Array.from(el.attributes)) {
+    if (attr.name.startsWith('data-') && attr.value.trim()) out[attr.name] = normalizeGridText(attr.value);
+  }
+  return out;
+}
+
+function richColumnName(header, kind) {
+  return kind.startsWith('data-') ? `${header} (${kind})` : `${header} ${kind}`;
+}
+
+// Adds a column after each source column for every detail that carries information:
+// "Player URL", "Nation Image", "Pos Title", "Player (data-append-csv)". cellRows[i] holds
+// the cell elements of rows[i] by column, or null for rows that are not data rows; the
+// row at headerAt gets the new names. Returns { headers, rows, extras, richColumns }.
+function addRichColumns(headers, rows, cellRows, headerAt, { hidden = [] } = {}) {
+  const richColumns = [];
+  const extras = headers.map((header, c) => {
+    const details = cellRows.map((cells) => (cells && cells[c] ? cellDetails(cells[c]) : null));
+    const kinds = Array.from(new Set(details.flatMap((d) => (d ? Object.keys(d) : []))));
+    const added = [];
+    for (const kind of kinds) {
+      const values = details.map((d) => (d && d[kind]) || '');
+      const filled = values.filter((v, i) => v && !(kind !== 'URL' && v === rows[i][c]));
+      if (!filled.length) continue;
+      // Per-column constants such as FBref's data-stat say nothing about the row
+      const dataRows = cellRows.filter(Boolean).length;
+      if (kind.startsWith('data-') && new Set(filled).size < 2 && filled.length * 2 > dataRows) continue;
+      const name = richColumnName(header || `Col ${c + 1}`, kind);
+      const isHidden = hidden.includes(name);
+      richColumns.push({ name, column: header, kind, hidden: isHidden });
+      if (!isHidden) added.push({ name, kind, values });
+    }
+    return added;
+  });
+  const expand = (row, valueAt) => row.flatMap((v, c) => [v, ...extras[c].map(valueAt)]);
+  return {
+    headers: expand(headers, (e) => e.name),
+    rows: rows.map((row, i) => expand(row, (e) => (i === headerAt ? e.name : cellRows[i] ? e.values[i] : ''))),
+    extras,
+    richColumns
+  };
+}
+
+const GROUP_ROW_CLASS_RE = /(^|[\s_-])(group|section|subhead(er)?|divider|separator|category)($|[\s_-])/i;
+const TOTAL_ROW_RE = /^(sub-?\s?totals?|grand totals?|totals?|squad totals?|team totals?|opponent totals?|sum|summe|gesamt|ara toplam|toplam)\b/i;
+// A label on its own ("Total", "Squad Total:", "Total (25 players)"), not "Total Network Solutions"
+const TOTAL_LABEL_RE = new RegExp(`${TOTAL_ROW_RE.source.replace(/\\b$/, '')}\\s*(:|\\(.*\\))?$`, 'i');
+
+// 'group' for separator rows inside the body ("Goalkeepers", "Group A": one cell spanning the
+// row, or one filled cell with group styling), 'total'/'subtotal' for totals rows, else null
+function classifyTableRow(cells, values) {
+  const filled = values.filter(Boolean);
+  if (!cells.length || !filled.length || values.length < 2) return null;
+  const tr = cells[0].parentElement;
+  const cls = String(tr?.className || '');
+  // Plain rows need the label as their first filled cell; <tfoot> or totals-styled rows may
+  // carry it in any of the first cells
+  const totalStyled = /(^|[\s_-])(sub-?)?totals?($|[\s_-])/i.test(cls);
+  const totalText = TOTAL_LABEL_RE.test(filled[0]) ? filled[0]
+    : totalStyled || tr?.parentElement?.nodeName === 'TFOOT' ? values.slice(0, 3).find((v) => TOTAL_ROW_RE.test(v)) : undefined;
+  if (totalText || totalStyled) {
+    return /sub/i.test(totalText || cls) ? 'subtotal' : 'total';
+  }
+  const texts = cells.map((c) => normalizeGridText(c.textContent)).filter(Boolean);
+  if (texts.length !== 1 || texts[0].length > 80) return null;
+  const spans = cells.length === 1 && (parseInt(cells[0].getAttribute('colspan') || '1', 10) || 1) > 1;
+  const styled = GROUP_ROW_CLASS_RE.test(cls) || cells.every((c) => c.nodeName === 'TH');
+  return spans || (styled && new Set(filled).size === 1) ? 'group' : null;
+}
+
+// Fills group labels down into a leading "Group" column. mode 'remove' drops the group and
+// totals rows, 'flag' keeps them and names them in a trailing "Row type" column. kinds[i]
+// comes from classifyTableRow; isData[i] is false for the header and rows above it.
+function applyGroupRows(headers, rows, kinds, isData, headerAt, mode) {
+  const groups = kinds.filter((k) => k === 'group').length;
+  const totals = kinds.filter((k) => k === 'total' || k === 'subtotal').length;
+  if (!groups && !totals) return null;
+  const flag = mode === 'flag';
+  const [groupName, typeName] = uniqueHeaderNames([...headers, 'Group', 'Row type']).slice(-2);
+  const wrap = (row, group, type) => [...(groups ? [group] : []), ...row, ...(flag ? [type] : [])];
+  let label = '';
+  const out = [];
+  rows.forEach((row, i) => {
+    const kind = kinds[i];
+    if (kind === 'group') label = row.find(Boolean) || '';
+    if (kind && !flag) return;
+    if (i === headerAt) out.push(wrap(row, groupName, typeName));
+    // A flagged group row keeps its label in the Group column only, not once per spanned cell
+    else if (kind === 'group') out.push(wrap(row.map(() => ''), label, kind));
+    else out.push(wrap(row, isData[i] ? label : '', kind || ''));
+  });
+  return { headers: wrap(headers, groupName, typeName), rows: out, wrap, info: { groups, totals, mode: flag ? 'flag' : 'remove' } };
+}
+
 function tableToMatrix(tableEl) {
-  const allRows = Array.from(tableEl.querySelectorAll('tr')).filter(tr => tr.querySelector('td,th'));
-  const grid = [];
-  let maxCols = 0;
-  for (let r = 0; r < allRows.length; r++) {
-    const rowEl = allRows[r];
-    const cells = Array.from(rowEl.querySelectorAll('th,td'));
-    grid[r] = grid[r] || [];
-    let c = 0;
-    for (const cell of cells) {
-      while (grid[r][c] !== undefined) c++;
-      const colSpan = Math.max(1, parseInt(cell.getAttribute('colspan') || '1', 10));
-      const rowSpan = Math.max(1, parseInt(cell.getAttribute('rowspan') || '1', 10));
-      const text = getText(cell);
-      for (let rr = 0; rr < rowSpan; rr++) {
-        const rIndex = r + rr;
-        grid[rIndex] = grid[rIndex] || [];
-        for (let cc = 0; cc < colSpan; cc++) {
-          const cIndex = c + cc;
-          grid[rIndex][cIndex] = text;
-          if (cIndex + 1 > maxCols) maxCols = cIndex + 1;
-        }
-      }
-      c += colSpan;
+  const gridRows = tableGridRows(tableEl);
+  const grid = buildTableGrid(gridRows);
+  const { colsCount: maxCols } = grid;
+  let { rows, headers, headerRows } = grid;
+  const fingerprint = tableFingerprint(tableEl, headers, maxCols);
+  const isData = grid.rowSources.map((r) => r > grid.headerIndex);
+  const headerAt = headers.length ? grid.rowSources.indexOf(grid.headerIndex) : -1;
+  // Classified on the text columns, before rich-cell columns are added
+  const kinds = __motuweGroupRows
+    ? rows.map((row, i) => (isData[i] ? classifyTableRow(gridRows[grid.rowSources[i]].cells.map((c) => c.el), row) : null))
+    : null;
+  let richColumns = null;
+  if (__motuweRichCells) {
+    const slots = placeGridCells(gridRows).grid;
+    // A colspan cell is read once, in its first column
+    const cellRows = rows.map((row, i) => {
+      const r = grid.rowSources[i];
+      if (!isData[i] || kinds?.[i] === 'group') return null;
+      return row.map((_, c) => (slots[r][c] && slots[r][c] !== slots[r][c - 1] ? slots[r][c].el : null));
+    });
+    const rich = addRichColumns(headers, rows, cellRows, headerAt, __motuweRichCells);
+    ({ headers, rows, richColumns } = rich);
+    if (headerRows) {
+      const last = headerRows.length - 1;
+      headerRows = headerRows.map((level, li) => level.flatMap((v, c) => [v, ...rich.extras[c].map((e) => (li === last ? richColumnName(v, e.kind) : v))]));
     }
   }
-  const headerRows = Array.from(tableEl.querySelectorAll('thead tr'));
-  let headers = [];
-  if (headerRows.length) {
-    const headIndex = allRows.indexOf(headerRows[headerRows.length - 1]);
-    if (headIndex >= 0) headers = (grid[headIndex] || []).map((h, i) => h || `Col ${i + 1}`);
-  } else {
-    const thIndex = allRows.findIndex(r => r.querySelector('th'));
-    if (thIndex >= 0) headers = (grid[thIndex] || []).map((h, i) => h || `Col ${i + 1}`);
+  let rowGroups = null;
+  const grouped = kinds ? applyGroupRows(headers, rows, kinds, isData, headerAt, __motuweGroupRows) : null;
+  if (grouped) {
+    ({ headers, rows, info: rowGroups } = grouped);
+    // The new columns repeat their name down the header levels
+    if (headerRows) headerRows = headerRows.map((level) => grouped.wrap(level, grouped.headers[0], grouped.headers[grouped.headers.length - 1]));
   }
-  const rows = grid.filter((row) => row && row.length && row.some(v => v && String(v).trim().length));
   const objects = headers.length ? rows.map((row) => Object.fromEntries(headers.map((h, i) => [h || String(i), row[i] ?? '']))) : [];
   const selector = cssPath(tableEl);
   let elWidth = 0, elHeight = 0, area = 0;
   try { const r = tableEl.getBoundingClientRect(); elWidth = Math.round(r.width); elHeight = Math.round(r.height); area = Math.round(r.width * r.height); } catch {}
-  return { type: 'html-table', selector, headers, rows, objects, rowsCount: rows.length, colsCount: maxCols, elWidth, elHeight, area };
+  const out = { type: 'html-table', selector, headers, rows, objects, rowsCount: rows.length, colsCount: headers.length || maxCols, elWidth, elHeight, area, fingerprint };
+  // Header levels of a multi-row header, for merged-header XLSX export
+  if (headerRows) out.headerRows = headerRows;
+  if (richColumns) out.richColumns = richColumns;
+  if (rowGroups) out.rowGroups = rowGroups;
+  return out;
 }
 
 function ariaGridToMatrix(root) {
@@ -332,18 +592,185 @@ function ariaGridToMatrix(root) {
   }
   const objects = headers.length ? rows.map((row) => Object.fromEntries(headers.map((h, i) => [h || String(i), row[i] ?? '']))) : [];
   let elWidth = 0, elHeight = 0, area = 0; try { const r = root.getBoundingClientRect(); elWidth = Math.round(r.width); elHeight = Math.round(r.height); area = Math.round(r.width * r.height); } catch {}
-  return { type: 'aria-grid', selector: cssPath(root), headers, rows, objects, elWidth, elHeight, area };
+  return { type: 'aria-grid', selector: cssPath(root), headers, rows, objects, elWidth, elHeight, area, fingerprint: tableFingerprint(root, headers, headers.length) };
+}
+
+// ---------- Shadow DOM ----------
+// Selectors for elements inside open shadow roots are written "host path >>> inner path"
+const SHADOW_PIERCE = '>>>';
+
+// Every open shadow root under root, nested ones included (closed roots are not reachable)
+function openShadowRoots(root = document, out = []) {
+  for (const el of root.querySelectorAll('*')) {
+    if (el.shadowRoot) {
+      out.push(el.shadowRoot);
+      openShadowRoots(el.shadowRoot, out);
+    }
+  }
+  return out;
+}
+
+// querySelectorAll over the document and all open shadow roots
+function deepQuerySelectorAll(selector, shadowRoots = openShadowRoots()) {
+  const out = Array.from(document.querySelectorAll(selector));
+  for (const root of shadowRoots) out.push(...root.querySelectorAll(selector));
+  return out;
+}
+
+// Elements to scan under a node budget, one list per scope: the document body and each open
+// shadow root get their own budget, so a large light DOM never crowds out shadow content
+function budgetedScanScopes(cap, shadowRoots = openShadowRoots()) {
+  const scopes = [Array.from(document.querySelectorAll('body *')).slice(0, cap)];
+  for (const root of shadowRoots) scopes.push(Array.from(root.querySelectorAll('*')).slice(0, cap));
+  return scopes;
+}
+
+// Resolve a selector that may pierce shadow roots with ">>>"
+function deepQuerySelector(selector) {
+  const parts = String(selector || '').split(SHADOW_PIERCE).map((p) => p.trim());
+  let scope = document;
+  let el = null;
+  for (let i = 0; i < parts.length; i++) {
+    if (i > 0) {
+      scope = el && el.shadowRoot;
+      if (!scope) return null;
+    }
+    el = parts[i] ? scope.querySelector(parts[i]) : null;
+    if (!el) return null;
+  }
+  return el;
+}
+
+// ---------- Selector resolver ----------
+// Every user-supplied selector (config, schema fields, HIGHLIGHT_TABLE) goes through here:
+//   table.items > tbody                      CSS
+//   my-grid >>> table                        CSS piercing open shadow roots
+//   xpath=//table[@id="yw1"]                 XPath
+//   text="Market value"                      innermost elements with exactly this text
+//   text=market value                        ... containing it, any case
+//   td containing "Total"                    elements whose text contains the value
+//   table after heading containing "Squad"   first match after an anchor (also: before, inside)
+const SELECTOR_ALIASES = { heading: 'h1, h2, h3, h4, h5, h6, [role="heading"]' };
+const SELECTOR_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'TITLE']);
+
+function normalizeSelectorText(s) {
+  return String(s ?? '').replace(/\s+/g, ' ').trim();
+}
+
+// "quoted" -> exact match; bare text -> case-insensitive substring
+function parseSelectorText(raw) {
+  const m = String(raw).trim().match(/^(["'])([\s\S]*)\1$/);
+  return m ? { text: m[2], exact: true } : { text: String(raw).trim(), exact: false };
+}
+
+function selectorTextMatches(el, text, exact) {
+  const have = normalizeSelectorText(el.textContent);
+  const want = normalizeSelectorText(text);
+  return exact ? have === want : have.toLowerCase().includes(want.toLowerCase());
+}
+
+// Split "left <keyword> right" at the first keyword that is not inside quotes or brackets
+function splitSelector(selector, keywords) {
+  const re = new RegExp(`^\\s+(${keywords.join('|')})\\s+`, 'i');
+  let quote = '';
+  let depth = 0;
+  for (let i = 0; i < selector.length; i++) {
+    const ch = selector[i];
+    if (quote) { if (ch === quote) quote = ''; continue; }
+    if (ch === '"' || ch === "'") { quote = ch; continue; }
+    if (ch === '[' || ch === '(') depth++;
+    else if (ch === ']' || ch === ')') depth = Math.max(0, depth - 1);
+    if (depth || !/\s/.test(ch)) continue;
+    const m = selector.slice(i).match(re);
+    if (m && i > 0) return { left: selector.slice(0, i).trim(), op: m[1].toLowerCase(), right: selector.slice(i + m[0].length).trim() };
+  }
+  return null;
+}
+
+function xpathElements(expr, scope) {
+  const doc = scope.ownerDocument || scope;
+  const result = doc.evaluate(expr, scope, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+  const out = [];
+  for (let i = 0; i < result.snapshotLength; i++) {
+    const node = result.snapshotItem(i);
+    if (node && node.nodeType === 1) out.push(node);
+  }
+  return out;
+}
+
+// Innermost matches only: a row containing "Market value" is not returned next to its cell
+function elementsWithText(scope, text, exact) {
+  const root = scope.nodeType === 9 ? scope.body : scope;
+  if (!root) return [];
+  const all = [root, ...root.querySelectorAll('*')].filter((el) => !SELECTOR_SKIP_TAGS.has(el.tagName));
+  const matches = all.filter((el) => selectorTextMatches(el, text, exact));
+  const set = new Set(matches);
+  return matches.filter((el) => !Array.from(el.children).some((c) => set.has(c)));
+}
+
+// Targets relative to anchors: after/before are in document order, nearest first
+function relativeElements(targets, anchors, op) {
+  const out = [];
+  const seen = new Set();
+  for (const anchor of anchors) {
+    let list;
+    if (op === 'inside') {
+      list = targets.filter((t) => t !== anchor && anchor.contains(t));
+    } else if (op === 'after') {
+      list = targets.filter((t) => !anchor.contains(t) && !t.contains(anchor) && (anchor.compareDocumentPosition(t) & Node.DOCUMENT_POSITION_FOLLOWING));
+    } else {
+      list = targets.filter((t) => !anchor.contains(t) && !t.contains(anchor) && (anchor.compareDocumentPosition(t) & Node.DOCUMENT_POSITION_PRECEDING)).reverse();
+    }
+    for (const t of list) {
+      if (!seen.has(t)) { seen.add(t); out.push(t); }
+    }
+  }
+  return out;
+}
+
+// All elements a selector refers to; throws on invalid CSS/XPath like querySelectorAll
+function resolveSelectorAll(selector, scope = document) {
+  const sel = String(selector ?? '').trim();
+  if (!sel) return [];
+  if (/^xpath=/i.test(sel)) return xpathElements(sel.slice(6).trim(), scope);
+  const rel = splitSelector(sel, ['after', 'before', 'inside']);
+  if (rel) return relativeElements(resolveSelectorAll(rel.left, scope), resolveSelectorAll(rel.right, scope), rel.op);
+  if (/^text=/i.test(sel)) {
+    const { text, exact } = parseSelectorText(sel.slice(5));
+    return text ? elementsWithText(scope, text, exact) : [];
+  }
+  const contains = splitSelector(sel, ['containing']);
+  if (contains) {
+    const { text } = parseSelectorText(contains.right);
+    return resolveSelectorAll(contains.left, scope).filter((el) => selectorTextMatches(el, text, false));
+  }
+  if (sel.includes(SHADOW_PIERCE)) {
+    const el = scope === document ? deepQuerySelector(sel) : null;
+    return el ? [el] : [];
+  }
+  return Array.from(scope.querySelectorAll(SELECTOR_ALIASES[sel.toLowerCase()] || sel));
+}
+
+function resolveSelector(selector, scope = document) {
+  return resolveSelectorAll(selector, scope)[0] || null;
+}
+
+// A table selector may point at a wrapper; use the table inside it
+function resolveTableElements(selector) {
+  return uniq(resolveSelectorAll(selector).map((el) => (el.tagName === 'TABLE' ? el : el.querySelector('table'))).filter(Boolean));
 }
 
 function cssPath(el) {
   try {
     const parts = [];
+    const start = el;
     while (el && el.nodeType === 1 && parts.length < 6) {
       let part = el.nodeName.toLowerCase();
       if (el.id) { part += `#${el.id}`; parts.unshift(part); break; }
       const cls = (el.className || '').toString().trim().split(/\s+/).filter(Boolean).slice(0,2);
       if (cls.length) part += '.' + cls.join('.');
-      const parent = el.parentElement;
+      // Top-level elements of a shadow root have no parentElement; index them within the root
+      const parent = el.parentElement || (el.parentNode instanceof ShadowRoot ? el.parentNode : null);
       if (parent) {
         const idx = Array.from(parent.children).filter((c) => c.nodeName === el.nodeName).indexOf(el);
         if (idx >= 0) part += `:nth-of-type(${idx+1})`;
@@ -351,22 +778,177 @@ function cssPath(el) {
       parts.unshift(part);
       el = el.parentElement;
     }
-    return parts.join(' > ');
+    const path = parts.join(' > ');
+    const root = start.getRootNode && start.getRootNode();
+    if (root instanceof ShadowRoot && root.host) return `${cssPath(root.host)} ${SHADOW_PIERCE} ${path}`;
+    return path;
   } catch { return ''; }
 }
 
+// ---------- Table fingerprints and self-healing locators ----------
+// cssPath breaks when a site reshuffles its layout; each detected table also carries a
+// fingerprint, and relocateTable() scores the page's tables against it to heal the selector.
+const LOCATOR_MIN_SCORE = 0.6;
+
+// Caption, otherwise the closest heading before the element (as render.js titleFor)
+function nearbyHeading(el) {
+  const caption = el.querySelector && el.querySelector(':scope > caption');
+  if (caption && getText(caption)) return normalizeSelectorText(caption.textContent).slice(0, 120);
+  let depth = 0;
+  for (let node = el; node && node !== document.body && depth < 6; node = node.parentElement, depth++) {
+    for (let prev = node.previousElementSibling; prev; prev = prev.previousElementSibling) {
+      if (/^H[1-6]$/.test(prev.tagName)) return normalizeSelectorText(prev.textContent).slice(0, 120);
+      const inner = prev.querySelectorAll('h1, h2, h3, h4, h5, h6');
+      if (inner.length) return normalizeSelectorText(inner[inner.length - 1].textContent).slice(0, 120);
+    }
+  }
+  return '';
+}
+
+function locatorHeaders(el) {
+  if (el.tagName === 'TABLE') return buildTableGrid(tableGridRows(el)).headers;
+  return Array.from(el.querySelectorAll('[role="columnheader"]')).slice(0, 50).map((h) => getText(h));
+}
+
+// Resolver-syntax selectors (see resolveSelectorAll) that find el today, most specific first
+function locatorCandidates(el, { headers, heading }) {
+  const tag = el.nodeName.toLowerCase();
+  const out = [];
+  const add = (sel) => {
+    try { if (sel && !out.includes(sel) && resolveSelector(sel) === el) out.push(sel); } catch {}
+  };
+  if (el.id && /^[A-Za-z][\w-]*$/.test(el.id)) add(`${tag}#${el.id}`);
+  const cls = stableClasses(el, 3);
+  if (cls.length) add(`${tag}.${cls.join('.')}`);
+  if (heading && !heading.includes('"')) add(`${tag} after heading containing "${heading.slice(0, 60)}"`);
+  const named = (headers || []).filter((h) => h && !h.includes('"')).slice(0, 3);
+  if (named.length) {
+    const cell = tag === 'table' ? './/th' : './/*[@role="columnheader"]';
+    const self = tag === 'table' ? '//table' : `//*[@role="${el.getAttribute('role') || 'grid'}"]`;
+    add(`xpath=${self}[${named.map((h) => `${cell}[normalize-space()="${h}"]`).join(' and ')}]`);
+  }
+  add(cssPath(el));
+  return out;
+}
+
+function tableFingerprint(el, headers, colsCount) {
+  try {
+    const heading = nearbyHeading(el);
+    const hs = (headers || []).map((h) => normalizeSelectorText(h)).slice(0, 30);
+    return {
+      tag: el.nodeName.toLowerCase(),
+      id: el.id || '',
+      classes: stableClasses(el, 10),
+      headers: hs,
+      colsCount: colsCount || hs.length,
+      heading,
+      candidates: locatorCandidates(el, { headers: hs, heading }),
+    };
+  } catch { return null; }
+}
+
+// 0..1 similarity between an element and a stored fingerprint (only the signals it has count)
+function fingerprintScore(el, fp) {
+  if (!el || !fp) return 0;
+  let total = 0;
+  let got = 0;
+  const headers = fp.headers && fp.headers.length ? locatorHeaders(el).map((h) => normalizeSelectorText(h)) : [];
+  if (fp.headers && fp.headers.length) {
+    total += 0.5;
+    const a = new Set(fp.headers.filter(Boolean));
+    const b = new Set(headers.slice(0, 30).filter(Boolean));
+    const common = Array.from(a).filter((h) => b.has(h)).length;
+    const union = new Set([...a, ...b]).size;
+    if (union) got += 0.5 * (common / union);
+  }
+  if (fp.colsCount) {
+    total += 0.15;
+    const cols = el.tagName === 'TABLE' ? buildTableGrid(tableGridRows(el)).colsCount : headers.length;
+    got += 0.15 * Math.max(0, 1 - Math.abs(cols - fp.colsCount) / Math.max(cols, fp.colsCount, 1));
+  }
+  if (fp.heading) {
+    total += 0.15;
+    const h = nearbyHeading(el).toLowerCase();
+    const want = fp.heading.toLowerCase();
+    if (h === want) got += 0.15;
+    else if (h && (h.includes(want) || want.includes(h))) got += 0.1;
+  }
+  if (fp.id) {
+    total += 0.1;
+    if (el.id === fp.id) got += 0.1;
+  }
+  if (fp.classes && fp.classes.length) {
+    total += 0.1;
+    const mine = stableClasses(el, 10);
+    got += 0.1 * (fp.classes.filter((c) => mine.includes(c)).length / fp.classes.length);
+  }
+  if (fp.tag && el.nodeName.toLowerCase() !== fp.tag) got *= 0.8;
+  return total ? got / total : 0;
+}
+
+// Find a table again: the stored selector when it still points at a matching table, otherwise
+// the best-scoring fingerprint candidate or table on the page. null when nothing is close enough.
+function relocateTable(selector, fingerprint) {
+  let current = null;
+  try { current = selector ? resolveSelector(selector) : null; } catch { current = null; }
+  if (!fingerprint) return current ? { el: current, selector, healed: false } : null;
+  if (current) {
+    const score = fingerprintScore(current, fingerprint);
+    if (score >= LOCATOR_MIN_SCORE) return { el: current, selector, healed: false, score };
+  }
+  const pool = new Set();
+  for (const c of fingerprint.candidates || []) {
+    try { const el = resolveSelector(c); if (el) pool.add(el); } catch {}
+  }
+  deepQuerySelectorAll('table, [role="table"], [role="grid"]').slice(0, 100).forEach((el) => pool.add(el));
+  let best = null;
+  for (const el of pool) {
+    const score = fingerprintScore(el, fingerprint);
+    if (!best || score > best.score) best = { el, score };
+  }
+  if (!best || best.score < LOCATOR_MIN_SCORE) return null;
+  return { el: best.el, selector: cssPath(best.el), healed: true, from: selector || '', score: Math.round(best.score * 100) / 100 };
+}
+
+// Tables saved with "Track" (config.tableLocators: [{ name, host, selector, fingerprint }])
+function extractTrackedTables(locators = []) {
+  const out = [];
+  for (const loc of Array.isArray(locators) ? locators : []) {
+    const found = relocateTable(loc.selector, loc.fingerprint);
+    if (!found) continue;
+    const el = found.el;
+    const t = el.tagName === 'TABLE' ? tableToMatrix(el) : ariaGridToMatrix(el);
+    t.tracked = loc.name || loc.selector;
+    if (found.healed) t.healed = { from: found.from, to: found.selector, score: found.score };
+    out.push(t);
+  }
+  return out;
+}
+
+// Tracked tables first; the same element found by auto-detection is dropped
+function withTrackedTables(tables = [], cfg = {}) {
+  // A locator belongs to the site it was tracked on; other sites never relocate (or heal) it
+  const locators = (Array.isArray(cfg.tableLocators) ? cfg.tableLocators : []).filter((loc) => loc.host && loc.host === location.hostname);
+  if (!locators.length) return tables;
+  const tracked = extractTrackedTables(locators);
+  const scoreTop = Math.max(0, ...tables.map((t) => t.score || 0));
+  tracked.forEach((t) => { t.score = Math.max(t.score || 0, scoreTop + 1); });
+  const taken = new Set(tracked.map((t) => t.selector));
+  return [...tracked, ...tables.filter((t) => !taken.has(t.selector))];
+}
+
 function extractDisplayTables() {
   const out = [];
-  const tables = Array.from(document.querySelectorAll('table')).filter(isVisible).slice(0, 20);
+  const shadowRoots = openShadowRoots();
+  const tables = deepQuerySelectorAll('table', shadowRoots).filter(isVisible).slice(0, 20);
   for (const t of tables) out.push(tableToMatrix(t));
 
-  const ariaRoots = Array.from(document.querySelectorAll('[role="table"], [role="grid"]')).filter(isVisible).slice(0, 20);
+  const ariaRoots = deepQuerySelectorAll('[role="table"], [role="grid"]', shadowRoots).filter(isVisible).slice(0, 20);
   for (const r of ariaRoots) out.push(ariaGridToMatrix(r));
 
   // Detect CSS display table/grid-like structures (capped unless deep scan)
   const cap = __motuweDeepScan ? 2000 : 800;
-  const all = Array.from(document.querySelectorAll('*')).slice(0, cap);
-  for (const el of all) {
+  for (const el of budgetedScanScopes(cap, shadowRoots).flat()) {
     const cs = getComputedStyle(el);
     if (!cs) continue;
     if ((cs.display === 'table' || cs.display === 'inline-table') && el.querySelector('tr, [role="row"]')) {
@@ -376,7 +958,7 @@ function extractDisplayTables() {
 
   // Pseudo-table detection: repeated cards/lists → table
   try {
-    const pseudo = detectPseudoTables({ minItems: 5, maxContainers: 30, capNodes: __motuweDeepScan ? 5000 : 2000 });
+    const pseudo = detectPseudoTables({ minItems: 5, maxContainers: 30, capNodes: __motuweDeepScan ? 5000 : 2000, shadowRoots });
     if (pseudo.length) out.push(...pseudo);
   } catch {}
   // Remove duplicates by selector+type
@@ -488,10 +1070,10 @@ function imageOr(el) {
   try { const img = el.querySelector('img'); let src = img ? (img.currentSrc || img.src || img.getAttribute('src')) : ''; if (src && !/^https?:/i.test(src)) src = new URL(src, location.href).href; const alt = img?.getAttribute('alt') || ''; return { src: src || '', alt }; } catch { return { src: '', alt: '' }; }
 }
 
-function detectPseudoTables({ minItems = 5, maxContainers = 30, capNodes = 2000 } = {}) {
+function detectPseudoTables({ minItems = 5, maxContainers = 30, capNodes = 2000, shadowRoots = openShadowRoots() } = {}) {
   const results = [];
-  const nodes = Array.from(document.querySelectorAll('body *')).slice(0, capNodes);
-  const containers = nodes.filter((n) => n.children && n.children.length >= minItems && isVisible(n)).slice(0, 200);
+  const containers = budgetedScanScopes(capNodes, shadowRoots)
+    .flatMap((nodes) => nodes.filter((n) => n.children && n.children.length >= minItems && isVisible(n)).slice(0, 200));
   let picked = 0;
   for (const c of containers) {
     if (picked >= maxContainers) break;
@@ -537,7 +1119,13 @@ function detectPseudoTables({ minItems = 5, maxContainers = 30, capNodes = 2000
 async function runScrape(config = {}) {
   const cfg = config || {};
   try { __motuweDeepScan = !!cfg.deepScan; } catch { __motuweDeepScan = false; }
-  if (cfg.deepScan) {
+  __motuweRichCells = cfg.richCells ? { hidden: Array.isArray(cfg.richCells.hidden) ? cfg.richCells.hidden : [] } : null;
+  __motuweGroupRows = cfg.groupRows === 'remove' || cfg.groupRows === 'flag' ? cfg.groupRows : null;
+  // loadAll: true or { moreSelector, rowSelector, scrollSelector, maxRows, maxMs, waitMs }
+  let loadAll = null;
+  if (cfg.loadAll && loadAllRunsHere(cfg.loadAll === true ? {} : cfg.loadAll)) {
+    loadAll = await loadAllContent(cfg.loadAll === true ? {} : cfg.loadAll);
+  } else if (cfg.deepScan) {
     await autoScroll({});
   }
   await waitForIdle({});
@@ -547,6 +1135,7 @@ async function runScrape(config = {}) {
     page: { url: location.href, title: document.title },
     timestamp: nowIso(),
   };
+  if (loadAll) base.loadAll = loadAll;
 
   // Site-specific: Transfermarkt
   if (isTransfermarktHost()) {
@@ -557,11 +1146,15 @@ async function runScrape(config = {}) {
     // Include both specialized roster tables and generic detected tables
     try {
       const autoTables = extractDisplayTables();
-      const merged = dedupeTables([...(tmTables || []), ...(autoTables || [])]);
+      const merged = withTrackedTables(dedupeTables([...(tmTables || []), ...(autoTables || [])]), cfg);
       if (merged.length) data.tables = merged;
     } catch {
       if (tmTables?.length) data.tables = tmTables;
     }
+    if (cfg.virtualGrids) {
+      data.tables = mergeVirtualGrids(data.tables || [], await extractVirtualGrids(cfg.virtualGrids === true ? {} : cfg.virtualGrids));
+      if (!data.tables.length) delete data.tables;
+    }
     if (mode === 'advanced') {
       data.selectors = extractBySelectors(cfg.selectors || []);
       if (cfg.includeOpenGraph) data.openGraph = extractOpenGraph();
@@ -583,6 +1176,10 @@ async function runScrape(config = {}) {
     const yt = extractYouTubeData();
     const data = { ...base, site: 'youtube', yt };
     if (Array.isArray(yt?.tables) && yt.tables.length) data.tables = (data.tables || []).concat(yt.tables);
+    if (cfg.virtualGrids) {
+      data.tables = mergeVirtualGrids(data.tables || [], await extractVirtualGrids(cfg.virtualGrids === true ? {} : cfg.virtualGrids));
+      if (!data.tables.length) delete data.tables;
+    }
     if (cfg.collectLinks || cfg.linkPatterns) {
       const links = extractLinks({ linkSelector: 'a#video-title, ytd-video-renderer a#video-title, ytd-grid-video-renderer a#video-title', linkPatterns: cfg.linkPatterns });
       data.links = links;
@@ -598,11 +1195,15 @@ async function runScrape(config = {}) {
     if (cfg.includeOpenGraph) data.openGraph = extractOpenGraph();
     if (cfg.includeJsonLd) data.jsonLd = extractJsonLd();
     if (cfg.linkSelector || (cfg.linkPatterns && cfg.linkPatterns.length)) data.links = extractLinks(cfg);
-    const tables = [];
+    let tables = [];
     if (cfg.tableSelector) tables.push(...extractTables(cfg));
     // also include auto-detected tables in advanced unless explicitly disabled
     if (cfg.autoTables !== false) tables.push(...extractDisplayTables());
-    if (tables.length) data.tables = tables;
+    if (cfg.structuredData !== false) tables.push(...extractStructuredDataTables());
+    tables = withTrackedTables(tables, cfg);
+    if (cfg.virtualGrids) data.tables = mergeVirtualGrids(tables, await extractVirtualGrids(cfg.virtualGrids === true ? {} : cfg.virtualGrids));
+    else if (tables.length) data.tables = tables;
+    if (data.tables && !data.tables.length) delete data.tables;
     return data;
   }
 
@@ -610,13 +1211,303 @@ async function runScrape(config = {}) {
   const basics = autoExtractBasics();
   const data = { ...base, ...basics };
   // auto include detected tables for end users
-  data.tables = extractDisplayTables();
+  data.tables = withTrackedTables(extractDisplayTables(), cfg);
+  if (cfg.structuredData !== false) data.tables.push(...extractStructuredDataTables());
+  if (cfg.virtualGrids) data.tables = mergeVirtualGrids(data.tables, await extractVirtualGrids(cfg.virtualGrids === true ? {} : cfg.virtualGrids));
   if (cfg.collectLinks || (cfg.linkPatterns && cfg.linkPatterns.length)) {
     data.links = extractLinks({ linkSelector: cfg.linkSelector, linkPatterns: cfg.linkPatterns });
   }
+  // Fields saved with the field picker
+  if (Array.isArray(cfg.selectors) && cfg.selectors.length) data.selectors = extractBySelectors(cfg.selectors);
   return data;
 }
 
+// ---------- Pagination helpers ----------
+const NEXT_PAGE_FALLBACKS = [
+  'a[rel="next"]',
+  'link[rel="next"]',
+  '.pagination .next a, .pager .next a, li.next a',
+  '.tm-pagination__list-item--icon-next-page a',
+  'a[aria-label*="next" i], button[aria-label*="next" i]',
+];
+
+function isDisabledControl(el) {
+  if (!el) return true;
+  if (el.hasAttribute('disabled') || el.getAttribute('aria-disabled') === 'true') return true;
+  const cls = (el.className || '').toString() + ' ' + (el.parentElement?.className || '').toString();
+  return /\bdisabled\b/i.test(cls);
+}
+
+// Locate the "next page" control; return its URL or click it for script-driven pagers
+function findNextPage(selector) {
+  const candidates = selector ? [selector] : NEXT_PAGE_FALLBACKS;
+  let el = null;
+  for (const sel of candidates) {
+    try { el = resolveSelector(sel); } catch { el = null; }
+    if (el) break;
+  }
+  if (!el || isDisabledControl(el)) return { ok: false, error: 'Next page control not found' };
+  const rawHref = el.getAttribute('href');
+  if (rawHref && !/^(#|javascript:)/i.test(rawHref.trim())) {
+    try { return { ok: true, href: new URL(rawHref, location.href).href }; } catch {}
+  }
+  try { el.click(); } catch (e) { return { ok: false, error: String(e?.message || e) }; }
+  return { ok: true, clicked: true };
+}
+
+// ---------- Load everything: infinite scroll / "load more" ----------
+const LOAD_MORE_FALLBACKS = [
+  '[data-load-more]',
+  '.load-more, .show-more, .js-load-more',
+  'button[aria-label*="load more" i], button[aria-label*="show more" i]',
+];
+const LOAD_MORE_TEXT = /^(load|show|view|see)\s+more\b|^more\s+(results|items|rows)$|^daha fazla/i;
+
+function findLoadMore(selector) {
+  const usable = (el) => el && isVisible(el) && !isDisabledControl(el);
+  if (selector) {
+    let el = null;
+    try { el = resolveSelectorAll(selector).find(usable) || null; } catch { el = null; }
+    return el;
+  }
+  for (const sel of LOAD_MORE_FALLBACKS) {
+    let found = null;
+    try { found = Array.from(document.querySelectorAll(sel)).find(usable); } catch { found = null; }
+    if (found) return found;
+  }
+  // Text match (":contains" is not CSS); skip links that would navigate away
+  return Array.from(document.querySelectorAll('button, a, [role="button"]')).find((el) => {
+    const text = getText(el);
+    if (text.length > 40 || !LOAD_MORE_TEXT.test(text)) return false;
+    const href = el.tagName === 'A' ? (el.getAttribute('href') || '').trim() : '';
+    if (href && !/^(#|javascript:)/i.test(href)) return false;
+    return usable(el);
+  }) || null;
+}
+
+function countLoadedRows(rowSelector) {
+  try { return resolveSelectorAll(rowSelector || 'tr, [role="row"]').length; } catch { return 0; }
+}
+
+// Progress for the side panel; chrome.runtime is missing when run outside the extension
+function sendScrapeProgress(payload) {
+  try { chrome.runtime.sendMessage({ type: 'SCRAPE_PROGRESS', payload }).catch(() => {}); } catch {}
+}
+
+// Resolve as soon as rows (or, on pages without rows, the document height) grow, or after timeoutMs
+function waitForGrowth(rowSelector, rows, height, timeoutMs) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const timer = setInterval(() => {
+      const grew = countLoadedRows(rowSelector) > rows || (!rows && document.documentElement.scrollHeight > height);
+      if (grew || Date.now() - started >= timeoutMs) {
+        clearInterval(timer);
+        resolve();
+      }
+    }, 100);
+  });
+}
+
+// RUN_SCRAPE reaches every frame: load-all runs in the top frame, or in a frame holding the
+// configured "load more" button, so embedded widgets' own "Show more" buttons are left alone
+function loadAllRunsHere({ moreSelector } = {}) {
+  if (window === window.top) return true;
+  if (!moreSelector) return false;
+  try { return !!resolveSelector(moreSelector); } catch { return false; }
+}
+
+// Scroll to the bottom or click the load-more control until the row count stops growing
+async function loadAllContent({ moreSelector, rowSelector, scrollSelector, maxRows = 5000, maxMs = 60000, waitMs = 1500, stableRounds = 3 } = {}) {
+  const started = Date.now();
+  let scroller = null;
+  if (scrollSelector) { try { scroller = resolveSelector(scrollSelector); } catch { scroller = null; } }
+  let rows = countLoadedRows(rowSelector);
+  let height = document.documentElement.scrollHeight;
+  let stable = 0;
+  let rounds = 0;
+  let clicks = 0;
+  while (stable < stableRounds && rows < maxRows && Date.now() - started < maxMs) {
+    rounds++;
+    const more = findLoadMore(moreSelector);
+    if (more) {
+      try { more.scrollIntoView({ block: 'center' }); more.click(); clicks++; } catch {}
+    } else {
+      window.scrollTo(0, document.documentElement.scrollHeight);
+      if (scroller) scroller.scrollTop = scroller.scrollHeight;
+    }
+    await waitForGrowth(rowSelector, rows, height, waitMs);
+    const nextRows = countLoadedRows(rowSelector);
+    const nextHeight = document.documentElement.scrollHeight;
+    const grew = nextRows > rows || (!rows && nextHeight > height);
+    stable = grew ? 0 : stable + 1;
+    rows = nextRows;
+    height = nextHeight;
+    sendScrapeProgress({ phase: 'load-all', rows, rounds, clicks, elapsedMs: Date.now() - started, maxRows });
+  }
+  window.scrollTo(0, 0);
+  const elapsedMs = Date.now() - started;
+  const stoppedBy = rows >= maxRows ? 'max-rows' : elapsedMs >= maxMs ? 'time' : 'stable';
+  return { rows, rounds, clicks, elapsedMs, stoppedBy };
+}
+
+// ---------- Virtualized grids (AG Grid, react-window, ...) ----------
+// Only the visible rows exist in the DOM, so the viewport is scrolled step by step and rows are
+// collected by aria-rowindex / row-index, or by content when the grid exposes no index.
+const VIRTUAL_GRID_ROOTS = '[role="grid"], [role="treegrid"], [role="table"], .ag-root-wrapper, .ReactVirtualized__Grid, [data-virtualized]';
+
+function isScrollableY(el) {
+  if (!el || el.scrollHeight <= el.clientHeight + 20) return false;
+  const cs = getComputedStyle(el);
+  return cs.overflowY === 'auto' || cs.overflowY === 'scroll';
+}
+
+// The element that scrolls the grid rows: the root, a descendant holding rows, or a close ancestor
+function findGridViewport(root) {
+  if (isScrollableY(root)) return root;
+  const inner = root.querySelector('.ag-body-viewport');
+  if (isScrollableY(inner)) return inner;
+  const scrollers = Array.from(root.querySelectorAll('*')).slice(0, 3000).filter(isScrollableY);
+  const withRows = scrollers.find((el) => el.querySelector('[role="row"], [row-index], [aria-rowindex]'));
+  if (withRows || scrollers[0]) return withRows || scrollers[0];
+  let el = root.parentElement;
+  for (let i = 0; el && i < 3; i++, el = el.parentElement) {
+    if (isScrollableY(el)) return el;
+  }
+  return null;
+}
+
+function virtualRowIndex(rowEl) {
+  const raw = rowEl.getAttribute('aria-rowindex') ?? rowEl.getAttribute('row-index') ?? rowEl.getAttribute('data-row-index') ?? rowEl.getAttribute('data-index');
+  const n = parseInt(raw, 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+function virtualRowCells(rowEl) {
+  let cells = Array.from(rowEl.querySelectorAll('[role="gridcell"], [role="cell"], [role="rowheader"]'));
+  if (!cells.length) cells = Array.from(rowEl.children);
+  // AG Grid renders cells out of order when columns move; aria-colindex is authoritative
+  const col = (c) => parseInt(c.getAttribute('aria-colindex'), 10);
+  if (cells.every((c) => Number.isFinite(col(c)))) cells.sort((a, b) => col(a) - col(b));
+  return cells.map((c) => getText(c));
+}
+
+function virtualGridHeaders(root) {
+  const byCol = new Map();
+  const els = Array.from(root.querySelectorAll('[role="columnheader"]'));
+  els.forEach((el, i) => {
+    const col = parseInt(el.getAttribute('aria-colindex'), 10);
+    const key = Number.isFinite(col) ? col : 100000 + i;
+    if (!byCol.has(key)) byCol.set(key, getText(el));
+  });
+  return Array.from(byCol.entries()).sort((a, b) => a[0] - b[0]).map(([, text]) => text);
+}
+
+// Add the rendered rows to `collected` (key -> { index, seq, cells }). Rows sharing an index
+// (AG Grid pinned left/center/right containers) are merged in document order.
+function collectVirtualRows(root, rowSelector, collected, state) {
+  let rowEls;
+  try {
+    rowEls = resolveSelectorAll(rowSelector || '[role="row"], [row-index]', root);
+  } catch { rowEls = []; }
+  rowEls = rowEls.filter((r) => !r.querySelector('[role="columnheader"]') && isVisible(r));
+  // Recycled nodes are positioned with transforms; on-screen order is the real order
+  const positioned = rowEls.map((r) => ({ r, top: r.getBoundingClientRect().top }));
+  positioned.sort((a, b) => a.top - b.top);
+  // Offset inside the scrolled content: the same row keeps it across passes, identical rows differ
+  const viewport = state.viewport;
+  const base = viewport ? viewport.scrollTop - viewport.getBoundingClientRect().top : 0;
+  const pass = new Map();
+  for (const { r, top } of positioned) {
+    const cells = virtualRowCells(r);
+    if (!cells.some((c) => c)) continue;
+    const index = virtualRowIndex(r);
+    const key = index !== null ? `i:${index}` : `h:${Math.round(top + base)}:${cells.join('\u241F')}`;
+    const entry = pass.get(key);
+    if (entry) entry.cells.push(...cells);
+    else pass.set(key, { index, cells });
+  }
+  for (const [key, entry] of pass) {
+    if (!collected.has(key)) collected.set(key, { ...entry, seq: state.seq++ });
+  }
+}
+
+async function captureVirtualGrid(root, { rowSelector, stepRatio = 0.8, waitMs = 300, maxRows = 20000, maxMs = 60000 } = {}) {
+  const viewport = findGridViewport(root);
+  if (!viewport) return null;
+  const started = Date.now();
+  const startTop = viewport.scrollTop;
+  const collected = new Map();
+  const state = { seq: 0, viewport };
+  const settle = () => new Promise((r) => setTimeout(r, waitMs));
+
+  viewport.scrollTop = 0;
+  await settle();
+  let bottomHits = 0;
+  while (collected.size < maxRows && Date.now() - started < maxMs) {
+    collectVirtualRows(root, rowSelector, collected, state);
+    const atBottom = viewport.scrollTop + viewport.clientHeight >= viewport.scrollHeight - 2;
+    // Grids often append rows when the bottom is reached; allow one more round
+    if (atBottom && ++bottomHits > 1) break;
+    viewport.scrollTop = viewport.scrollTop + Math.max(40, Math.floor(viewport.clientHeight * stepRatio));
+    await settle();
+    sendScrapeProgress({ phase: 'virtual-grid', rows: collected.size, elapsedMs: Date.now() - started });
+  }
+  collectVirtualRows(root, rowSelector, collected, state);
+  viewport.scrollTop = startTop;
+
+  const entries = Array.from(collected.values());
+  const indexed = entries.every((e) => e.index !== null);
+  entries.sort((a, b) => indexed ? a.index - b.index : a.seq - b.seq);
+  const dataRows = entries.map((e) => e.cells);
+  const width = Math.max(0, ...dataRows.map((r) => r.length));
+  const headers = virtualGridHeaders(root);
+  const rows = dataRows.map((r) => Array.from({ length: Math.max(width, headers.length) }, (_, i) => r[i] ?? ''));
+  const objects = headers.length ? rows.map((row) => Object.fromEntries(headers.map((h, i) => [h || String(i), row[i] ?? '']))) : [];
+  let elWidth = 0, elHeight = 0, area = 0;
+  try { const r = root.getBoundingClientRect(); elWidth = Math.round(r.width); elHeight = Math.round(r.height); area = Math.round(r.width * r.height); } catch {}
+  return {
+    type: 'virtual-grid',
+    selector: cssPath(root),
+    headers,
+    // Header row first, as tableToMatrix does
+    rows: headers.length ? [headers, ...rows] : rows,
+    objects,
+    rowsCount: rows.length,
+    colsCount: Math.max(width, headers.length),
+    elWidth, elHeight, area,
+    virtual: { keyedBy: indexed ? 'row-index' : 'content', elapsedMs: Date.now() - started },
+  };
+}
+
+// Capture every scrollable grid on the page (outermost roots only)
+async function extractVirtualGrids(opts = {}) {
+  let roots = [];
+  try { roots = deepQuerySelectorAll(VIRTUAL_GRID_ROOTS).filter(isVisible); } catch { roots = []; }
+  if (opts.selector) { try { roots = uniq([...resolveSelectorAll(opts.selector).filter(isVisible), ...roots]); } catch {} }
+  roots = roots.filter((r) => !roots.some((o) => o !== r && o.contains(r))).slice(0, 5);
+  const out = [];
+  for (const root of roots) {
+    try {
+      const t = await captureVirtualGrid(root, opts);
+      if (t && t.rowsCount) out.push(t);
+    } catch (e) { console.warn('Virtual grid capture failed:', e?.message || e); }
+  }
+  return out;
+}
+
+// Captured grids replace the partial aria-grid/table entries found inside the same root
+function mergeVirtualGrids(tables = [], grids = []) {
+  if (!grids.length) return tables;
+  const roots = grids.map((g) => { try { return resolveSelector(g.selector); } catch { return null; } });
+  const inside = (t) => {
+    let el = null;
+    try { el = t.selector ? resolveSelector(t.selector) : null; } catch { el = null; }
+    return !!el && roots.some((r) => r && (r === el || r.contains(el)));
+  };
+  const scoreTop = Math.max(0, ...tables.map((t) => t.score || 0));
+  return [...grids.map((g) => ({ ...g, score: scoreTop + g.rowsCount })), ...tables.filter((t) => !inside(t))];
+}
+
 function dedupeTables(arr = []) {
   const seen = new Set();
   const out = [];
@@ -633,6 +1524,8 @@ function dedupeTables(arr = []) {
 let __motuweSelecting = false;
 let __motuweHighlightEl = null;
 let __motuweHandlersBound = false;
+// 'table' (START_SELECTION) or 'field' (START_FIELD_PICK)
+let __motuwePickMode = 'table';
 
 function ensureInlineStyles() {
   try {
@@ -645,6 +1538,12 @@ function ensureInlineStyles() {
       .motuwe-selecting *{user-select:none!important}
       .motuwe-cancel-hint{opacity:.8;font-size:12px;margin-left:8px}
       .motuwe-pointer{cursor:crosshair!important}
+      .motuwe-field-match{outline:2px dashed #FFC107!important;outline-offset:1px!important}
+      .motuwe-field-panel{position:fixed!important;right:12px!important;bottom:12px!important;width:320px!important;background:#111!important;color:#eee!important;border:1px solid #333!important;border-radius:8px!important;padding:10px!important;font:12px/1.4 system-ui,-apple-system,Segoe UI,Roboto,Ubuntu,Cantarell,sans-serif!important;z-index:2147483647!important;box-shadow:0 4px 16px rgba(0,0,0,.5)!important}
+      .motuwe-field-panel label{display:block!important;margin:6px 0 2px!important;color:#aaa!important}
+      .motuwe-field-panel input,.motuwe-field-panel select{width:100%!important;box-sizing:border-box!important;background:#000!important;color:#eee!important;border:1px solid #444!important;border-radius:4px!important;padding:4px 6px!important;font:inherit!important}
+      .motuwe-field-panel button{margin:8px 6px 0 0!important;padding:4px 10px!important;border-radius:4px!important;border:1px solid #444!important;background:#222!important;color:#eee!important;cursor:pointer!important}
+      .motuwe-field-panel .motuwe-field-count{margin-top:6px!important;color:#FFC107!important;word-break:break-word!important}
     `;
     document.documentElement.appendChild(style);
   } catch {}
@@ -668,6 +1567,164 @@ function findTableLike(target) {
   return el;
 }
 
+// ---------- Field picker ----------
+// Class tokens worth keeping in a generated selector (state classes and hashed names are not)
+function stableClasses(el, max = 2) {
+  return (el.className || '').toString().trim().split(/\s+/)
+    .filter((c) => /^[A-Za-z_][\w-]*$/.test(c) && !/^motuwe-/.test(c))
+    .filter((c) => !/^(active|selected|hover|focus|open|current|is-|has-)/i.test(c) && !/\d{3,}|[-_](?=[a-z]*\d)[a-z0-9]{5,}$/i.test(c))
+    .slice(0, max);
+}
+
+function elementSignature(el) {
+  const cls = stableClasses(el);
+  return el.nodeName.toLowerCase() + (cls.length ? '.' + cls.join('.') : '');
+}
+
+// Nearest ancestor that repeats among its siblings: a row, list item or card (cells are not items).
+// Returns the item and a signature shared by all its peers (tr.odd / tr.even -> tr).
+function findRepeatingItem(el) {
+  for (let node = el; node && node.parentElement && node !== document.body; node = node.parentElement) {
+    if (node.nodeName === 'TD' || node.nodeName === 'TH') continue;
+    const cls = stableClasses(node, 10);
+    let peers = Array.from(node.parentElement.children).filter((c) => c.nodeName === node.nodeName);
+    if (cls.length && node.nodeName !== 'TR') peers = peers.filter((c) => stableClasses(c, 10).some((k) => cls.includes(k)));
+    if (peers.length < 2) continue;
+    const shared = node.nodeName === 'TR' ? [] : cls.filter((k) => peers.every((c) => c.classList.contains(k))).slice(0, 2);
+    return { item: node, signature: node.nodeName.toLowerCase() + (shared.length ? '.' + shared.join('.') : '') };
+  }
+  return null;
+}
+
+// A selector for el that also matches the same field in sibling rows/items
+function buildFieldSelector(el) {
+  const { item, signature } = findRepeatingItem(el) || {};
+  if (item) {
+    const parts = [];
+    for (let node = el; node && node !== item; node = node.parentElement) {
+      let part = elementSignature(node);
+      // The column is what makes a cell the same field across rows
+      if (node.nodeName === 'TD' || node.nodeName === 'TH') part += `:nth-child(${Array.from(node.parentElement.children).indexOf(node) + 1})`;
+      parts.unshift(part);
+    }
+    const selector = [cssPath(item.parentElement), signature, ...parts].join(' > ');
+    try { if (resolveSelectorAll(selector).includes(el)) return selector; } catch {}
+  }
+  return cssPath(el);
+}
+
+// Clicking the text of a link picks the link (so href can be read)
+function pickFieldElement(target) {
+  const a = target.closest && target.closest('a');
+  return a && getText(a) === getText(target) ? a : target;
+}
+
+// Column header for a cell, otherwise a label from the element itself
+function guessFieldName(el) {
+  const cell = el.closest('td, th');
+  const table = cell && cell.closest('table');
+  if (table) {
+    const m = buildTableGrid(tableGridRows(table));
+    const idx = Array.from(cell.parentElement.children).indexOf(cell);
+    if (m.headers[idx]) return m.headers[idx];
+  }
+  const label = el.getAttribute('aria-label') || el.getAttribute('itemprop') || stableClasses(el, 1)[0];
+  return label || el.nodeName.toLowerCase();
+}
+
+function fieldAttrOptions(el) {
+  const skip = ['class', 'style', 'id'];
+  return ['text', ...Array.from(el.attributes || []).map((a) => a.name).filter((n) => !skip.includes(n) && !n.startsWith('on'))];
+}
+
+function clearFieldMatches() {
+  try { document.querySelectorAll('.motuwe-field-match').forEach((el) => el.classList.remove('motuwe-field-match')); } catch {}
+}
+
+// Field as saved in config.selectors (js/extraction-schema.js)
+function readFieldPanel(panel) {
+  const name = panel.querySelector('[name="name"]').value.trim();
+  const selector = panel.querySelector('[name="selector"]').value.trim();
+  const attr = panel.querySelector('[name="attr"]').value;
+  const field = { name, selector };
+  if (attr && attr !== 'text') field.attr = attr;
+  if (attr === 'href' || attr === 'src') field.transform = 'url';
+  return field;
+}
+
+// Live match count and sample values for the selector in the panel
+function updateFieldMatches(panel) {
+  const field = readFieldPanel(panel);
+  const out = panel.querySelector('.motuwe-field-count');
+  clearFieldMatches();
+  let matches = [];
+  try { matches = resolveSelectorAll(field.selector); } catch (e) {
+    out.textContent = `Invalid selector: ${e?.message || e}`;
+    return 0;
+  }
+  matches.forEach((el) => el.classList.add('motuwe-field-match'));
+  const sample = extractField({ ...field, multiple: true }, document).slice(0, 3).map((v) => String(v ?? '').slice(0, 40));
+  out.textContent = `${matches.length} match${matches.length === 1 ? '' : 'es'}${sample.length ? ': ' + sample.join(' · ') : ''}`;
+  return matches.length;
+}
+
+function removeFieldPanel() {
+  try { const p = document.getElementById('motuwe-field-panel'); if (p) p.remove(); } catch {}
+  clearFieldMatches();
+}
+
+function showFieldPanel(el) {
+  let panel = document.getElementById('motuwe-field-panel');
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.id = 'motuwe-field-panel';
+    panel.className = 'motuwe-field-panel';
+    panel.innerHTML = `
+      <strong>New field</strong>
+      <label>Name</label><input name="name" />
+      <label>Selector</label><input name="selector" />
+      <label>Value</label><select name="attr"></select>
+      <div class="motuwe-field-count"></div>
+      <button type="button" data-act="save">Save field</button><button type="button" data-act="cancel">Cancel</button>`;
+    panel.addEventListener('input', () => updateFieldMatches(panel));
+    panel.addEventListener('click', (e) => {
+      const act = e.target?.getAttribute?.('data-act');
+      if (act === 'cancel') stopSelection();
+      if (act === 'save') saveFieldFromPanel(panel);
+    });
+    document.documentElement.appendChild(panel);
+  }
+  panel.querySelector('[name="name"]').value = guessFieldName(el);
+  panel.querySelector('[name="selector"]').value = buildFieldSelector(el);
+  const attrs = fieldAttrOptions(el);
+  const select = panel.querySelector('[name="attr"]');
+  select.innerHTML = '';
+  for (const a of attrs) {
+    const o = document.createElement('option');
+    o.value = a;
+    o.textContent = a === 'text' ? 'Text' : a;
+    select.appendChild(o);
+  }
+  select.value = el.tagName === 'IMG' && attrs.includes('src') ? 'src' : 'text';
+  updateFieldMatches(panel);
+}
+
+function saveFieldFromPanel(panel) {
+  const count = updateFieldMatches(panel);
+  const field = readFieldPanel(panel);
+  if (count > 1) field.multiple = true;
+  const errors = validateExtractionSchema([field]);
+  const out = panel.querySelector('.motuwe-field-count');
+  if (errors.length) { out.textContent = errors.join('; '); return; }
+  if (!count) { out.textContent = 'The selector matches nothing on this page'; return; }
+  try {
+    chrome.runtime.sendMessage({ type: 'FIELD_PICKED', payload: { field, count, frameUrl: location.href } }).then((res) => {
+      if (res?.ok) stopSelection();
+      else out.textContent = `Save failed: ${res?.error || 'no response'}`;
+    }).catch((e) => { out.textContent = `Save failed: ${e?.message || e}`; });
+  } catch (e) { out.textContent = `Save failed: ${e?.message || e}`; }
+}
+
 function pickMatrixForElement(el) {
   if (!el) return null;
   const role = (el.getAttribute && (el.getAttribute('role') || '')).toLowerCase();
@@ -693,13 +1750,13 @@ function unbindSelectionHandlers() {
   document.removeEventListener('keydown', __motuweOnKey, true);
 }
 
-function showGuide() {
+function showGuide(text = 'Click a table to select') {
   try {
     if (document.getElementById('motuwe-selection-guide')) return;
     const g = document.createElement('div');
     g.id = 'motuwe-selection-guide';
     g.className = 'motuwe-selection-guide';
-    g.textContent = 'Click a table to select';
+    g.textContent = text;
     const span = document.createElement('span');
     span.className = 'motuwe-cancel-hint';
     span.textContent = '(Esc to cancel)';
@@ -715,14 +1772,25 @@ function hideGuide() {
 function __motuweOnMove(e) {
   if (!__motuweSelecting) return;
   try { document.documentElement.classList.add('motuwe-pointer'); } catch {}
+  if (__motuwePickMode === 'field') {
+    if (e.target.closest?.('#motuwe-field-panel')) return;
+    highlight(e.target === document.documentElement || e.target === document.body ? null : pickFieldElement(e.target));
+    return;
+  }
   const el = findTableLike(e.target);
   highlight(el);
 }
 
 function __motuweOnClick(e) {
   if (!__motuweSelecting) return;
+  // The field panel's own inputs and buttons keep working
+  if (e.target.closest?.('#motuwe-field-panel')) return;
   e.preventDefault();
   e.stopPropagation();
+  if (__motuwePickMode === 'field') {
+    if (e.target !== document.documentElement && e.target !== document.body) showFieldPanel(pickFieldElement(e.target));
+    return;
+  }
   const el = findTableLike(e.target);
   if (!el) return;
   const m = pickMatrixForElement(el);
@@ -741,18 +1809,22 @@ function __motuweOnKey(e) {
   }
 }
 
-function startSelection() {
+function startSelection(mode = 'table') {
   try { ensureInlineStyles(); } catch {}
+  if (__motuweSelecting) stopSelection();
+  __motuwePickMode = mode;
   __motuweSelecting = true;
   bindSelectionHandlers();
-  showGuide();
+  showGuide(mode === 'field' ? 'Click a value to turn it into a field' : undefined);
 }
 
 function stopSelection() {
   __motuweSelecting = false;
+  __motuwePickMode = 'table';
   unbindSelectionHandlers();
   clearHighlight();
   hideGuide();
+  removeFieldPanel();
   try { document.documentElement.classList.remove('motuwe-pointer'); } catch {}
 }
 
@@ -772,6 +1844,11 @@ if (!window.__motuweMsgHooked) {
           sendResponse({ ok: true, started: true });
           break;
         }
+        case 'START_FIELD_PICK': {
+          startSelection('field');
+          sendResponse({ ok: true, started: true });
+          break;
+        }
         case 'STOP_SELECTION': {
           stopSelection();
           sendResponse({ ok: true });
@@ -779,13 +1856,13 @@ if (!window.__motuweMsgHooked) {
         }
         case 'HIGHLIGHT_TABLE': {
           try {
-            const selector = msg.selector;
-            const el = selector ? document.querySelector(selector) : null;
+            const found = relocateTable(msg.selector, msg.fingerprint);
+            const el = found?.el;
             if (el) {
               el.scrollIntoView({ behavior: 'smooth', block: 'center' });
               el.classList.add('motuwe-overlay-highlight');
               setTimeout(() => { try { el.classList.remove('motuwe-overlay-highlight'); } catch {} }, 2000);
-              sendResponse({ ok: true });
+              sendResponse({ ok: true, healed: found.healed ? { from: found.from, to: found.selector, score: found.score } : undefined });
             } else {
               sendResponse({ ok: false, error: 'Element not found' });
             }
@@ -794,11 +1871,23 @@ if (!window.__motuweMsgHooked) {
           }
           break;
         }
+        case 'EXTRACT_FIELDS': {
+          // Detail page of a follow-links crawl: only the configured fields
+          await waitForIdle({});
+          const fields = extractBySelectors(msg.payload?.selectors || []);
+          sendResponse({ ok: true, page: { url: location.href, title: document.title }, fields });
+          break;
+        }
+        case 'FIND_NEXT_PAGE': {
+          sendResponse(findNextPage(msg.payload?.selector));
+          break;
+        }
         case 'GET_TABLE_SNAPSHOT': {
           try {
-            const { selector } = msg.payload || {};
-            const html = getTableSnapshotHtml(selector);
-            sendResponse({ ok: true, html });
+            const { selector, fingerprint } = msg.payload || {};
+            const found = relocateTable(selector, fingerprint);
+            const html = getTableSnapshotHtml(found?.selector || selector);
+            sendResponse({ ok: true, html, healed: found?.healed ? { from: found.from, to: found.selector, score: found.score } : undefined });
           } catch (e) {
             sendResponse({ ok: false, error: String(e?.message || e) });
           }
@@ -1034,7 +2123,8 @@ function fbrefTableToMatrix(tableEl) {
     }
     headers = headers.map((h, i) => (h && h.trim()) ? h.trim() : `Col ${i+1}`);
 
-    const rows = [];
+    let rows = [];
+    const cellRows = [];
     let bodyRows = Array.from(tableEl.querySelectorAll('tbody tr'));
     if (!bodyRows.length) bodyRows = Array.from(tableEl.querySelectorAll('tr'));
     for (const r of bodyRows) {
@@ -1043,7 +2133,7 @@ function fbrefTableToMatrix(tableEl) {
       const cells = Array.from(r.querySelectorAll('th,td'));
       if (!cells.length) continue;
       const row = cells.map((c) => getText(c));
-      if (row.some((v) => v && v.trim().length)) rows.push(row);
+      if (row.some((v) => v && v.trim().length)) { rows.push(row); cellRows.push(cells); }
     }
 
     // Include tfoot totals if present
@@ -1051,13 +2141,26 @@ function fbrefTableToMatrix(tableEl) {
     for (const r of footRows) {
       const cells = Array.from(r.querySelectorAll('th,td'));
       const row = cells.map((c) => getText(c));
-      if (row.some((v) => v && v.trim().length)) rows.push(row);
+      if (row.some((v) => v && v.trim().length)) { rows.push(row); cellRows.push(cells); }
+    }
+
+    const kinds = __motuweGroupRows ? rows.map((row, i) => classifyTableRow(cellRows[i], row.map(normalizeGridText))) : null;
+    let richColumns = null;
+    if (__motuweRichCells) {
+      const richCells = cellRows.map((cells, i) => (kinds?.[i] === 'group' ? null : cells));
+      ({ headers, rows, richColumns } = addRichColumns(headers, rows, richCells, -1, __motuweRichCells));
     }
+    let rowGroups = null;
+    const grouped = kinds ? applyGroupRows(headers, rows, kinds, rows.map(() => true), -1, __motuweGroupRows) : null;
+    if (grouped) ({ headers, rows, info: rowGroups } = grouped);
 
     const objects = headers.length ? rows.map((row) => Object.fromEntries(headers.map((h, i) => [h, row[i] ?? '']))) : [];
 
     const sel = tableEl.id ? `#${tableEl.id}` : (typeof cssPath === 'function' ? cssPath(tableEl) : '');
-    return { type: 'fbref-table', selector: sel, headers, rows, objects };
+    const out = { type: 'fbref-table', selector: sel, headers, rows, objects };
+    if (richColumns) out.richColumns = richColumns;
+    if (rowGroups) out.rowGroups = rowGroups;
+    return out;
   } catch {
     // fallback to generic
     return tableToMatrix(tableEl);
@@ -1124,8 +2227,7 @@ function cardListToTable(nodes, selectors, { tableType = 'cards' } = {}) {
 
 // Build a sandboxed HTML snapshot of a table preserving key styles
 function getTableSnapshotHtml(selector) {
-  const el = selector ? document.querySelector(selector) : null;
-  const table = el && (el.tagName === 'TABLE' ? el : el.querySelector('table'));
+  const table = selector ? resolveTableElements(selector)[0] : null;
   if (!table) throw new Error('Table not found');
   const clone = table.cloneNode(true);
 
@@ -0,0 +1,70 @@
+// MAIN-world network hook for the opt-in "Capture API responses" setting.
+// Registered at document_start by background.js; wraps fetch and XMLHttpRequest and keeps
+// the parsed JSON responses in window.__motuweApiCaptures, which RUN_SCRAPE reads back.
+(function () {
+  if (window.__motuweApiHook) return;
+  window.__motuweApiHook = true;
+
+  const MAX_CAPTURES = 50;
+  const MAX_CHARS = 2 * 1024 * 1024;
+  const captures = window.__motuweApiCaptures = window.__motuweApiCaptures || [];
+
+  function record(url, method, status, body) {
+    let data = body;
+    if (typeof body === 'string') {
+      if (!body || body.length > MAX_CHARS || !/^\s*[[{]/.test(body)) return;
+      try { data = JSON.parse(body); } catch (e) { return; }
+    }
+    if (!data || typeof data !== 'object') return;
+    let href = String(url || '');
+    try { href = new URL(href, location.href).href; } catch (e) {}
+    captures.push({ url: href, method: String(method || 'GET').toUpperCase(), status, time: Date.now(), data });
+    if (captures.length > MAX_CAPTURES) captures.shift();
+  }
+
+  const nativeFetch = window.fetch;
+  if (typeof nativeFetch === 'function') {
+    window.fetch = function (input, init) {
+      const pending = nativeFetch.apply(this, arguments);
+      pending.then((res) => {
+        try {
+          if (!/json/i.test(res.headers.get('content-type') || '')) return;
+          const method = (init && init.method) || (input && input.method) || 'GET';
+          const url = res.url || (input && input.url) || input;
+          res.clone().text().then((text) => record(url, method, res.status, text)).catch(() => {});
+        } catch (e) {}
+      }).catch(() => {});
+      return pending;
+    };
+  }
+
+  const XHR = window.XMLHttpRequest;
+  if (XHR && XHR.prototype) {
+    const nativeOpen = XHR.prototype.open;
+    const nativeSend = XHR.prototype.send;
+    function onLoad() {
+      try {
+        const req = this.__motuweRequest || {};
+        const url = this.responseURL || req.url;
+        if (this.responseType === 'json') {
+          record(url, req.method, this.status, this.response);
+        } else if (this.responseType === '' || this.responseType === 'text') {
+          // record() ignores bodies that do not look like JSON
+          record(url, req.method, this.status, this.responseText);
+        }
+      } catch (e) {}
+    }
+    XHR.prototype.open = function (method, url) {
+      this.__motuweRequest = { method, url };
+      return nativeOpen.apply(this, arguments);
+    };
+    XHR.prototype.send = function () {
+      // Once per instance: a reused XHR would otherwise record each response again per send()
+      if (!this.__motuweListening) {
+        this.__motuweListening = true;
+        this.addEventListener('load', onLoad);
+      }
+      return nativeSend.apply(this, arguments);
+    };
+  }
+})();
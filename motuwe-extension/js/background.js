@@ -1,4 +1,6 @@
-// Background service worker for Motuwe extension
+// Background services for Motuwe extension (settings, exports)
+// Loaded into the root service worker via importScripts; messages are routed
+// there so the extension has a single `type`-based protocol.
 class MotuweBackground {
   constructor() {
     this.initializeExtension();
@@ -11,19 +13,6 @@ class MotuweBackground {
         this.setDefaultSettings();
       }
     });
-
-    // Handle messages from content scripts and popup
-    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-      this.handleMessage(request, sender, sendResponse);
-      return true; // Keep message channel open for async responses
-    });
-
-    // Handle tab updates for dynamic content detection
-    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-      if (changeInfo.status === 'complete' && tab.url) {
-        this.notifyContentScript(tabId);
-      }
-    });
   }
 
   async setDefaultSettings() {
@@ -41,42 +30,27 @@ class MotuweBackground {
 
   async handleMessage(request, sender, sendResponse) {
     try {
-      switch (request.action) {
-        case 'exportData':
-          if (request.format === 'xlsx') {
-            // For Excel, delegate to content script
-            sendResponse({ useContentScript: true });
-          } else {
-            await this.handleExport(request.data, request.format, request.filename);
-            sendResponse({ success: true });
-          }
+      switch (request.type) {
+        case 'EXPORT_DATA':
+          await this.handleExport(request.payload.data, request.payload.format, request.payload.filename);
+          sendResponse({ ok: true });
           break;
 
-        case 'getSettings':
+        case 'GET_SETTINGS':
           const settings = await this.getSettings();
-          sendResponse({ settings });
-          break;
-
-        case 'saveSettings':
-          await chrome.storage.sync.set({ motuweSettings: request.settings });
-          sendResponse({ success: true });
+          sendResponse({ ok: true, settings });
           break;
 
-        case 'injectTableSelector':
-          await this.injectTableSelector(sender.tab.id);
-          sendResponse({ success: true });
-          break;
-
-        case 'removeTableSelector':
-          await this.removeTableSelector(sender.tab.id);
-          sendResponse({ success: true });
+        case 'SAVE_SETTINGS':
+          await chrome.storage.sync.set({ motuweSettings: request.payload });
+          sendResponse({ ok: true });
           break;
 
         default:
-          sendResponse({ error: 'Unknown action' });
+          sendResponse({ ok: false, error: 'Unknown message type' });
       }
     } catch (error) {
-      sendResponse({ error: error.message });
+      sendResponse({ ok: false, error: error.message });
     }
   }
 
@@ -105,16 +79,23 @@ class MotuweBackground {
         throw new Error('Unsupported format');
     }
 
-    const blob = new Blob([content], { type: mimeType });
-    const url = URL.createObjectURL(blob);
-
+    // Service workers have no URL.createObjectURL; hand a data: URL to downloads
     await chrome.downloads.download({
-      url: url,
+      url: this.toDataUrl(content, mimeType),
       filename: `${filename}.${format}`,
       saveAs: true
     });
   }
 
+  toDataUrl(content, mimeType) {
+    const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : new Uint8Array(content);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${mimeType};base64,${btoa(binary)}`;
+  }
+
   convertToCSV(data) {
     if (!Array.isArray(data) || data.length === 0) return '';
     
@@ -130,42 +111,19 @@ class MotuweBackground {
     return '\ufeff' + csvRows.join('\r\n'); // UTF-8 BOM for Excel
   }
 
+  // data is one matrix or a list of sheets ({ name, data })
   async convertToExcel(data) {
-    // For background script, we'll use a simpler approach
-    // The full Excel export is handled in the content script
-    return this.convertToCSV(data);
-  }
-
-  async injectTableSelector(tabId) {
-    await chrome.scripting.executeScript({
-      target: { tabId },
-      func: () => {
-        if (window.motuweSelector) {
-          window.motuweSelector.activate();
-        }
-      }
-    });
-  }
-
-  async removeTableSelector(tabId) {
-    await chrome.scripting.executeScript({
-      target: { tabId },
-      func: () => {
-        if (window.motuweSelector) {
-          window.motuweSelector.deactivate();
-        }
-      }
-    });
-  }
-
-  async notifyContentScript(tabId) {
-    try {
-      await chrome.tabs.sendMessage(tabId, { action: 'pageUpdated' });
-    } catch (error) {
-      // Tab might not have content script injected yet
+    if (!Array.isArray(data) || data.length === 0) throw new Error('No data to export');
+    const writer = new XlsxWriter();
+    const isSheetList = data.every(sheet => sheet && !Array.isArray(sheet) && Array.isArray(sheet.data));
+    if (isSheetList) {
+      data.forEach(sheet => writer.addSheet(sheet.name, sheet.data));
+    } else {
+      writer.addSheet('Sheet1', data);
     }
+    return writer.build();
   }
 }
 
-// Initialize background service
-new MotuweBackground();
\ No newline at end of file
+// Initialize background service (shared with the root service worker scope)
+const motuweBackground = new MotuweBackground();
\ No newline at end of file
@@ -38,7 +38,7 @@ class MotuweContentScript {
 
   async loadSettings() {
     try {
-      const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
       this.settings = response.settings || {};
     } catch (error) {
       console.warn('Failed to load settings:', error);
@@ -48,6 +48,8 @@ class MotuweContentScript {
 
   setupMessageListener() {
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      // Typed messages (RUN_SCRAPE, HIGHLIGHT_TABLE, ...) are answered by the root content script
+      if (!request.action) return false;
       this.handleMessage(request, sender, sendResponse);
       return true;
     });
@@ -1270,7 +1272,10 @@ class MotuweContentScript {
   async loadAllTableData(table) {
     // Check for pagination or "load more" buttons near the table
     const container = table.closest('[data-pagination], .table-container, .data-table') || table.parentElement;
-    const loadMoreBtn = container.querySelector('[data-load-more], .load-more, .show-more, button:contains("More")');
+    // :contains() is jQuery-only and throws in querySelector; match the button text instead
+    const findLoadMore = () => container.querySelector('[data-load-more], .load-more, .show-more') ||
+      Array.from(container.querySelectorAll('button')).find(btn => /\bmore\b/i.test(btn.textContent));
+    let loadMoreBtn = findLoadMore();
     
     if (loadMoreBtn && loadMoreBtn.offsetHeight > 0) {
       let previousRowCount = table.querySelectorAll('tr').length;
@@ -1278,10 +1283,15 @@ class MotuweContentScript {
       while (loadMoreBtn && loadMoreBtn.offsetHeight > 0) {
         loadMoreBtn.click();
         await this.waitForNewRows(table, previousRowCount);
-        previousRowCount = table.querySelectorAll('tr').length;
+        const currentRowCount = table.querySelectorAll('tr').length;
+        // Stop when a click no longer adds rows
+        if (currentRowCount <= previousRowCount) break;
+        previousRowCount = currentRowCount;
         
         // Safety break
         if (previousRowCount > 10000) break;
+        // The button may be re-rendered after each load
+        loadMoreBtn = findLoadMore();
       }
     }
 
@@ -143,7 +143,7 @@ class DataTransformer {
 
     for (let i = startIndex; i < data.length; i++) {
       const row = data[i];
-      const cellValue = row[column] || '';
+      const cellValue = String(row[column] ?? '');
       const compareValue = caseSensitive ? cellValue : cellValue.toLowerCase();
       const searchValue = caseSensitive ? value : value.toLowerCase();
 
@@ -202,10 +202,10 @@ class DataTransformer {
     if (data.length <= 1) return data;
 
     const result = [...data];
-    const startIndex = skipHeader ? 1 : 0;
     const header = skipHeader ? result.shift() : null;
 
-    const dataRows = result.slice(startIndex);
+    // Header (if any) was already shifted off above
+    const dataRows = result;
     
     dataRows.sort((a, b) => {
       const aVal = a[column] || '';
@@ -336,9 +336,9 @@ class DataTransformer {
 
   // Extract numbers
   extractNumbers(data, options) {
-    const { columns = 'all', keepOriginal = false, format = 'decimal' } = options;
+    const { columns = 'all', keepOriginal = false, format = 'decimal', skipHeader = true } = options;
 
-    return data.map(row =>
+    return data.map((row, rowIndex) => skipHeader && rowIndex === 0 ? row :
       row.map((cell, index) => {
         if (columns !== 'all' && !columns.includes(index)) {
           return cell;
@@ -374,7 +374,7 @@ class DataTransformer {
 
   // Extract dates
   extractDates(data, options) {
-    const { columns = 'all', format = 'iso', keepOriginal = false } = options;
+    const { columns = 'all', format = 'iso', keepOriginal = false, skipHeader = true } = options;
 
     const datePatterns = [
       /\d{1,2}\/\d{1,2}\/\d{4}/g,
@@ -383,7 +383,7 @@ class DataTransformer {
       /\b\w+ \d{1,2}, \d{4}\b/g
     ];
 
-    return data.map(row =>
+    return data.map((row, rowIndex) => skipHeader && rowIndex === 0 ? row :
       row.map((cell, index) => {
         if (columns !== 'all' && !columns.includes(index)) {
           return cell;
@@ -425,12 +425,12 @@ class DataTransformer {
 
   // Extract URLs
   extractUrls(data, options) {
-    const { columns = 'all', keepOriginal = false, type = 'all' } = options;
+    const { columns = 'all', keepOriginal = false, type = 'all', skipHeader = true } = options;
 
     const urlPattern = /https?:\/\/[^\s]+/g;
     const emailPattern = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g;
 
-    return data.map(row =>
+    return data.map((row, rowIndex) => skipHeader && rowIndex === 0 ? row :
       row.map((cell, index) => {
         if (columns !== 'all' && !columns.includes(index)) {
           return cell;
@@ -460,7 +460,7 @@ class DataTransformer {
     const { column = 0, delimiter = ',', maxSplits = -1, keepOriginal = false } = options;
 
     return data.map(row => {
-      const cell = row[column] || '';
+      const cell = String(row[column] ?? '');
       const parts = maxSplits > 0 
         ? cell.split(delimiter, maxSplits + 1)
         : cell.split(delimiter);
@@ -556,6 +556,93 @@ class DataTransformer {
     }
   }
 
+  // Pivot: one row per rowColumn value, one column per columnColumn value
+  pivotTable(data, options) {
+    const { rowColumn = 0, columnColumn = 1, valueColumn = 2, aggregation = 'sum' } = options;
+
+    if (data.length <= 1) return data;
+
+    const [header, ...rows] = data;
+    const rowKeys = [];
+    const colKeys = [];
+    const cells = new Map();
+
+    rows.forEach(row => {
+      const r = String(row[rowColumn] ?? '');
+      const c = String(row[columnColumn] ?? '');
+      if (!rowKeys.includes(r)) rowKeys.push(r);
+      if (!colKeys.includes(c)) colKeys.push(c);
+      const key = `${r}\u0000${c}`;
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(row[valueColumn]);
+    });
+
+    const result = [[header[rowColumn] || '', ...colKeys]];
+    rowKeys.forEach(r => {
+      result.push([r, ...colKeys.map(c => {
+        const values = cells.get(`${r}\u0000${c}`);
+        return values ? this.aggregateValues(values, aggregation) : '';
+      })]);
+    });
+
+    return result;
+  }
+
+  // Group rows by one or more columns and aggregate the others
+  aggregateData(data, options) {
+    const { groupBy = [0], aggregations = [] } = options;
+
+    if (data.length <= 1) return data;
+
+    const [header, ...rows] = data;
+    const groupCols = Array.isArray(groupBy) ? groupBy : [groupBy];
+    const groups = new Map();
+
+    rows.forEach(row => {
+      const key = groupCols.map(col => row[col] ?? '').join('|');
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+
+    const result = [[
+      ...groupCols.map(col => header[col] || ''),
+      ...aggregations.map(({ column, function: fn = 'sum' }) => `${fn}(${header[column] || column})`)
+    ]];
+
+    groups.forEach(groupRows => {
+      result.push([
+        ...groupCols.map(col => groupRows[0][col] ?? ''),
+        ...aggregations.map(({ column, function: fn = 'sum' }) =>
+          this.aggregateValues(groupRows.map(row => row[column]), fn)
+        )
+      ]);
+    });
+
+    return result;
+  }
+
+  aggregateValues(values, aggregation) {
+    const numbers = values
+      .map(v => parseFloat(String(v ?? '').replace(/[^\d.+-]/g, '')))
+      .filter(n => !isNaN(n));
+
+    switch (aggregation) {
+      case 'count':
+        return values.length;
+      case 'avg':
+        return numbers.length ? numbers.reduce((a, b) => a + b, 0) / numbers.length : '';
+      case 'min':
+        return numbers.length ? Math.min(...numbers) : '';
+      case 'max':
+        return numbers.length ? Math.max(...numbers) : '';
+      case 'first':
+        return values[0] ?? '';
+      case 'sum':
+      default:
+        return numbers.reduce((a, b) => a + b, 0);
+    }
+  }
+
   // Deduplicate rows
   deduplicateRows(data, options) {
     const { keyColumns = 'all', keepFirst = true } = options;
@@ -726,6 +813,98 @@ class DataTransformer {
     }
   }
 
+  // Run a pipeline and keep the intermediate result of every step (for step-by-step previews)
+  async transformDataWithSteps(data, transformations = []) {
+    const steps = [];
+    let result = this.deepClone(data);
+
+    for (const transformation of transformations) {
+      try {
+        result = await this.applyTransformation(result, transformation);
+        steps.push({ type: transformation.type, data: result, error: null });
+      } catch (error) {
+        steps.push({ type: transformation.type, data: result, error: error.message });
+        break;
+      }
+    }
+
+    return { data: result, steps, failed: steps.some(step => step.error) };
+  }
+
+  // Option fields per transformation type, used by the side panel pipeline editor.
+  // kind: column (index), columns (index list), text, number, select, checkbox
+  getTransformationCatalog() {
+    const conditions = ['contains', 'equals', 'startsWith', 'endsWith', 'regex', 'empty', 'notEmpty', 'number', 'greaterThan', 'lessThan'];
+    const aggregations = ['sum', 'avg', 'min', 'max', 'count', 'first'];
+
+    return {
+      filterColumns: { label: 'Keep columns', fields: [
+        { name: 'indices', kind: 'columns', label: 'Columns' }
+      ] },
+      filterRows: { label: 'Filter rows', fields: [
+        { name: 'column', kind: 'column', label: 'Column' },
+        { name: 'condition', kind: 'select', label: 'Condition', choices: conditions, default: 'contains' },
+        { name: 'value', kind: 'text', label: 'Value' },
+        { name: 'caseSensitive', kind: 'checkbox', label: 'Case sensitive' }
+      ] },
+      sortRows: { label: 'Sort rows', fields: [
+        { name: 'column', kind: 'column', label: 'Column' },
+        { name: 'direction', kind: 'select', label: 'Direction', choices: ['asc', 'desc'], default: 'asc' },
+        { name: 'dataType', kind: 'select', label: 'Type', choices: ['text', 'number', 'date'], default: 'text' }
+      ] },
+      cleanData: { label: 'Clean', fields: [
+        { name: 'removeEmptyRows', kind: 'checkbox', label: 'Drop empty rows', default: true },
+        { name: 'removeEmptyColumns', kind: 'checkbox', label: 'Drop empty columns', default: true }
+      ] },
+      normalizeText: { label: 'Normalize text', fields: [
+        { name: 'toLowerCase', kind: 'checkbox', label: 'lower' },
+        { name: 'toUpperCase', kind: 'checkbox', label: 'UPPER' },
+        { name: 'toTitleCase', kind: 'checkbox', label: 'Title' },
+        { name: 'removeSpecialChars', kind: 'checkbox', label: 'Strip symbols' }
+      ] },
+      extractNumbers: { label: 'Extract numbers', fields: [
+        { name: 'columns', kind: 'columns', label: 'Columns' },
+        { name: 'format', kind: 'select', label: 'Format', choices: ['first', 'decimal', 'integer', 'sum'], default: 'first' },
+        { name: 'keepOriginal', kind: 'checkbox', label: 'Keep original' }
+      ] },
+      extractDates: { label: 'Extract dates', fields: [
+        { name: 'columns', kind: 'columns', label: 'Columns' },
+        { name: 'format', kind: 'select', label: 'Format', choices: ['iso', 'us', 'timestamp'], default: 'iso' }
+      ] },
+      extractUrls: { label: 'Extract URLs/emails', fields: [
+        { name: 'columns', kind: 'columns', label: 'Columns' },
+        { name: 'type', kind: 'select', label: 'Type', choices: ['all', 'urls', 'emails'], default: 'all' }
+      ] },
+      splitColumns: { label: 'Split column', fields: [
+        { name: 'column', kind: 'column', label: 'Column' },
+        { name: 'delimiter', kind: 'text', label: 'Delimiter', default: ',' },
+        { name: 'keepOriginal', kind: 'checkbox', label: 'Keep original' }
+      ] },
+      mergeColumns: { label: 'Merge columns', fields: [
+        { name: 'columns', kind: 'columns', label: 'Columns' },
+        { name: 'separator', kind: 'text', label: 'Separator', default: ' ' }
+      ] },
+      addCalculatedColumn: { label: 'Calculated column', fields: [
+        { name: 'columnName', kind: 'text', label: 'Name', default: 'Calculated' },
+        { name: 'formula', kind: 'text', label: 'Formula (COL1 * COL2)', default: 'COL1' }
+      ] },
+      pivotTable: { label: 'Pivot', fields: [
+        { name: 'rowColumn', kind: 'column', label: 'Rows' },
+        { name: 'columnColumn', kind: 'column', label: 'Columns', default: 1 },
+        { name: 'valueColumn', kind: 'column', label: 'Values', default: 2 },
+        { name: 'aggregation', kind: 'select', label: 'Aggregate', choices: aggregations, default: 'sum' }
+      ] },
+      deduplicateRows: { label: 'Remove duplicates', fields: [
+        { name: 'keepFirst', kind: 'checkbox', label: 'Keep first', default: true }
+      ] },
+      fillMissingValues: { label: 'Fill missing', fields: [
+        { name: 'columns', kind: 'columns', label: 'Columns' },
+        { name: 'method', kind: 'select', label: 'Method', choices: ['forward', 'backward', 'constant'], default: 'forward' },
+        { name: 'value', kind: 'text', label: 'Constant' }
+      ] }
+    };
+  }
+
   // Helper methods
   deepClone(obj) {
     return JSON.parse(JSON.stringify(obj));
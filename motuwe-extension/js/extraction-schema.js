@@ -0,0 +1,99 @@
+// Extraction schema for extractBySelectors (content.js) and the options page.
+//
+//   [{ "name": "players", "selector": "tr.player", "multiple": true, "fields": [
+//       { "name": "name", "selector": "td.name a" },
+//       { "name": "url", "selector": "td.name a", "attr": "href", "transform": "url" },
+//       { "name": "value", "selector": "td.value", "transform": ["trim", { "regex": "([\\d.,]+)" }, "number"] }
+//   ] }]
+//
+// Nested fields are resolved inside each matched element; a nested field without a
+// selector reads the matched element itself. Plain functions and no top-level
+// constants: the file is re-injected together with content.js.
+
+function validateTransform(t, path, errors) {
+  const names = ['trim', 'number', 'url'];
+  if (typeof t === 'string') {
+    if (!names.includes(t)) errors.push(`${path}: unknown transform "${t}" (use ${names.join(', ')} or { "regex": ... })`);
+    return;
+  }
+  if (!t || typeof t !== 'object' || Array.isArray(t) || typeof t.regex !== 'string') {
+    errors.push(`${path}: transform must be a name or { "regex": "...", "group": 1, "flags": "i" }`);
+    return;
+  }
+  try { new RegExp(t.regex, t.flags || ''); } catch (e) { errors.push(`${path}.regex: ${e.message}`); }
+  if (t.group !== undefined && !(Number.isInteger(t.group) && t.group >= 0)) errors.push(`${path}.group: must be a non-negative integer`);
+}
+
+// Returns a list of "path: problem" strings; empty when the schema is valid
+function validateExtractionSchema(fields, path = '', nested = false) {
+  const keys = ['name', 'key', 'selector', 'attr', 'multiple', 'all', 'fields', 'transform', 'default'];
+  const errors = [];
+  if (!Array.isArray(fields)) return [`${path || 'selectors'}: must be an array of fields`];
+  fields.forEach((f, i) => {
+    const at = `${path}[${i}]`;
+    if (!f || typeof f !== 'object' || Array.isArray(f)) { errors.push(`${at}: must be an object`); return; }
+    for (const k of Object.keys(f)) {
+      if (!keys.includes(k)) errors.push(`${at}: unknown key "${k}"`);
+    }
+    if (typeof (f.name ?? f.key) !== 'string' || !(f.name ?? f.key).trim()) errors.push(`${at}.name: required`);
+    if (f.selector !== undefined && (typeof f.selector !== 'string' || !f.selector.trim())) errors.push(`${at}.selector: must be a non-empty string`);
+    if (f.selector === undefined && !nested) errors.push(`${at}.selector: required`);
+    if (f.attr !== undefined && typeof f.attr !== 'string') errors.push(`${at}.attr: must be a string`);
+    for (const k of ['multiple', 'all']) {
+      if (f[k] !== undefined && typeof f[k] !== 'boolean') errors.push(`${at}.${k}: must be true or false`);
+    }
+    if (f.fields !== undefined) {
+      if (f.attr !== undefined || f.transform !== undefined) errors.push(`${at}: "fields" cannot be combined with "attr" or "transform"`);
+      errors.push(...validateExtractionSchema(f.fields, `${at}.fields`, true));
+    }
+    if (f.transform !== undefined) {
+      const list = Array.isArray(f.transform) ? f.transform : [f.transform];
+      list.forEach((t, j) => validateTransform(t, Array.isArray(f.transform) ? `${at}.transform[${j}]` : `${at}.transform`, errors));
+    }
+  });
+  return errors;
+}
+
+// "1.234,5" / "1,234.5" / "12.5m" -> number (null when nothing numeric is found)
+function parseSchemaNumber(value) {
+  let s = String(value ?? '').replace(/\s/g, '');
+  const m = s.match(/-?[\d.,]*\d/);
+  if (!m) return null;
+  s = m[0];
+  const lastComma = s.lastIndexOf(',');
+  const lastDot = s.lastIndexOf('.');
+  if (lastComma > -1 && lastDot > -1) {
+    s = lastComma > lastDot ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+  } else if (lastComma > -1) {
+    // A single comma followed by exactly three digits is a thousands separator
+    s = /^-?\d{1,3}(,\d{3})+$/.test(s) ? s.replace(/,/g, '') : s.replace(/,/g, '.');
+  } else if ((s.match(/\./g) || []).length > 1) {
+    s = s.replace(/\./g, '');
+  }
+  const n = parseFloat(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function applyFieldTransforms(value, transform, baseUrl) {
+  const list = transform === undefined ? [] : (Array.isArray(transform) ? transform : [transform]);
+  let v = value;
+  for (const t of list) {
+    if (v === null || v === undefined) break;
+    if (t === 'trim') {
+      v = String(v).replace(/\s+/g, ' ').trim();
+    } else if (t === 'number') {
+      v = parseSchemaNumber(v);
+    } else if (t === 'url') {
+      try { v = v ? new URL(String(v).trim(), baseUrl).href : v; } catch (e) { /* keep as is */ }
+    } else if (t && typeof t === 'object' && t.regex) {
+      const m = String(v).match(new RegExp(t.regex, t.flags || ''));
+      v = m ? (m[t.group ?? 1] ?? m[0]) : '';
+    }
+  }
+  return v;
+}
+
+// CommonJS export for the desktop app / CLI
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { validateExtractionSchema, applyFieldTransforms, parseSchemaNumber };
+}
@@ -1,21 +1,45 @@
 // History and session management system
 class HistoryManager {
-  constructor(storage) {
+  constructor(storage, options = {}) {
     this.storage = storage;
     this.currentSession = null;
     this.sessionStartTime = null;
+    // Page being scraped; defaults to the hosting document (content script use)
+    this.pageUrl = options.pageUrl || null;
     
     this.initializeSession();
   }
 
+  getPageUrl() {
+    return this.pageUrl || window.location.href;
+  }
+
+  getPageDomain() {
+    try {
+      return new URL(this.getPageUrl()).hostname;
+    } catch {
+      return window.location.hostname;
+    }
+  }
+
+  // Point the session at another page (e.g. the tab the side panel is scraping)
+  async setPage(url) {
+    this.pageUrl = url || null;
+    if (this.currentSession) {
+      this.currentSession.url = this.getPageUrl();
+      this.currentSession.domain = this.getPageDomain();
+      await this.updateSession();
+    }
+  }
+
   // Initialize new session
   async initializeSession() {
     this.sessionStartTime = Date.now();
     this.currentSession = {
       id: this.generateSessionId(),
       startTime: this.sessionStartTime,
-      url: window.location.href,
-      domain: window.location.hostname,
+      url: this.getPageUrl(),
+      domain: this.getPageDomain(),
       userAgent: navigator.userAgent,
       actions: [],
       scrapedTables: [],
@@ -48,7 +72,7 @@ class HistoryManager {
       type: actionType,
       timestamp: Date.now(),
       data: data,
-      url: window.location.href
+      url: this.getPageUrl()
     };
 
     this.currentSession.actions.push(action);
@@ -82,7 +106,7 @@ class HistoryManager {
         preview: tableData.slice(0, 3), // First 3 rows for preview
         hash: this.hashTableData(tableData)
       },
-      url: window.location.href,
+      url: this.getPageUrl(),
       success: true
     };
 
@@ -106,7 +130,7 @@ class HistoryManager {
       format: format,
       filename: filename,
       size: exportData.length,
-      url: window.location.href,
+      url: this.getPageUrl(),
       success: true
     };
 
@@ -130,7 +154,7 @@ class HistoryManager {
       message: error.message || error,
       stack: error.stack,
       context: context,
-      url: window.location.href
+      url: this.getPageUrl()
     };
 
     this.currentSession.errors.push(errorRecord);
@@ -154,7 +178,7 @@ class HistoryManager {
       success: result.success,
       tablesFound: result.tables?.length || 0,
       errors: result.errors || [],
-      url: window.location.href
+      url: this.getPageUrl()
     };
 
     this.currentSession.templates.push(templateRecord);
@@ -617,11 +641,11 @@ class HistoryManager {
       
       await this.recordAction('session_resumed', {
         previousUrl: session.url,
-        newUrl: window.location.href
+        newUrl: this.getPageUrl()
       });
       
       // Update URL for current page
-      this.currentSession.url = window.location.href;
+      this.currentSession.url = this.getPageUrl();
       await this.updateSession();
     }
   }
@@ -0,0 +1,123 @@
+// JSON -> table helpers: find arrays of similar objects inside a JSON value and
+// flatten them into header/row matrices. Used by the service worker (API captures,
+// hydration blobs), the side panel (table identity) and injected before content.js
+// (structured data). Plain functions on purpose, like table-grid.js: content.js is re-injected.
+
+// Nested objects become dotted keys ("club.name"); arrays of scalars are joined,
+// arrays of objects are kept as JSON (they are found as tables of their own)
+function flattenJsonObject(value, prefix = '', out = {}, depth = 0) {
+  if (value === null || value === undefined) {
+    if (prefix) out[prefix] = '';
+  } else if (Array.isArray(value)) {
+    const scalars = value.every((v) => v === null || typeof v !== 'object');
+    out[prefix || 'value'] = scalars ? value.map((v) => String(v ?? '')).join(', ') : JSON.stringify(value);
+  } else if (typeof value === 'object') {
+    if (depth >= 4) {
+      out[prefix || 'value'] = JSON.stringify(value);
+    } else {
+      for (const [k, v] of Object.entries(value)) {
+        flattenJsonObject(v, prefix ? `${prefix}.${k}` : k, out, depth + 1);
+      }
+    }
+  } else {
+    out[prefix || 'value'] = String(value);
+  }
+  return out;
+}
+
+// items: array of objects -> { headers, rows (header row first, as tableToMatrix), objects }
+function jsonObjectsToTable(items, { maxColumns = 60 } = {}) {
+  const objects = items.map((item) => flattenJsonObject(item));
+  const headers = [];
+  const seen = new Set();
+  for (const o of objects) {
+    for (const k of Object.keys(o)) {
+      if (!seen.has(k)) { seen.add(k); headers.push(k); }
+    }
+  }
+  headers.splice(maxColumns);
+  const rows = objects.map((o) => headers.map((h) => o[h] ?? ''));
+  return { headers, rows: [headers, ...rows], objects };
+}
+
+function jsonPathKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+}
+
+// An array is a table when most items are plain objects sharing at least minKeys keys
+function isObjectArrayTable(arr, { minItems = 2, minKeys = 2 } = {}) {
+  if (!Array.isArray(arr) || arr.length < minItems) return false;
+  const sample = arr.slice(0, 20);
+  const objs = sample.filter((v) => v && typeof v === 'object' && !Array.isArray(v));
+  if (objs.length < Math.max(minItems, Math.ceil(sample.length * 0.8))) return false;
+  const counts = new Map();
+  for (const o of objs) for (const k of Object.keys(o)) counts.set(k, (counts.get(k) || 0) + 1);
+  const common = Array.from(counts.values()).filter((n) => n >= objs.length / 2).length;
+  return common >= minKeys;
+}
+
+// [{ videoRenderer: {...} }, { videoRenderer: {...} }] -> the inner objects and their key
+function unwrapSingleKeyItems(arr) {
+  const sample = arr.slice(0, 20);
+  const key = sample[0] && typeof sample[0] === 'object' && !Array.isArray(sample[0]) ? Object.keys(sample[0])[0] : null;
+  if (!key) return null;
+  const same = sample.every((v) => v && typeof v === 'object' && Object.keys(v).length === 1 && v[key] && typeof v[key] === 'object');
+  return same ? { key, items: arr.map((v) => v && v[key]).filter(Boolean) } : null;
+}
+
+// Depth-first search for object arrays; returns [{ path: '$.props.items', items }]
+function findJsonObjectArrays(value, { minItems = 2, minKeys = 2, maxArrays = 20, maxDepth = 10 } = {}) {
+  const found = [];
+  const visit = (node, path, depth) => {
+    if (found.length >= maxArrays || depth > maxDepth || !node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      if (isObjectArrayTable(node, { minItems, minKeys })) {
+        found.push({ path, items: node.filter((v) => v && typeof v === 'object' && !Array.isArray(v)) });
+        return;
+      }
+      // Renderer lists wrap each item in a single-key object
+      const wrapped = unwrapSingleKeyItems(node);
+      if (wrapped && isObjectArrayTable(wrapped.items, { minItems, minKeys })) {
+        found.push({ path: `${path}[*]${jsonPathKey(wrapped.key)}`, items: wrapped.items });
+        return;
+      }
+      node.slice(0, 50).forEach((v, i) => visit(v, `${path}[${i}]`, depth + 1));
+      return;
+    }
+    for (const [k, v] of Object.entries(node)) visit(v, path + jsonPathKey(k), depth + 1);
+  };
+  visit(value, '$', 0);
+  return found;
+}
+
+// Same density-based score as extractDisplayTables, with a bonus for clean structured data
+function scoreJsonTable(t) {
+  const rc = Math.max(0, (t.rows || []).length - 1);
+  const cc = (t.headers || []).length;
+  let score = Math.min(4000, rc * Math.min(cc, 30)) + 400;
+  if (cc > 24) score -= (cc - 24) * 60;
+  return score;
+}
+
+// Request URL without the params that change from page to page (?page=2, offset, cursor, cache busters)
+function pageSourceKey(source) {
+  try {
+    const u = new URL(source);
+    for (const name of Array.from(u.searchParams.keys())) {
+      if (/^(page|p|pg|pagenumber|page_number|pageindex|offset|start|skip|from|cursor|after|before|_|t|ts)$/i.test(name)) u.searchParams.delete(name);
+    }
+    u.searchParams.sort();
+    return u.href;
+  } catch { return String(source || ''); }
+}
+
+// Identifies the same table across pages and scrapes. api-json, hydration and structured-data
+// tables have no DOM selector (source + JSON path identify them); a chart has one table per series
+function tableIdentity(t) {
+  return `${t.type || 'table'}|${t.selector || ''}|${t.source ? pageSourceKey(t.source) : ''}|${t.path || ''}|${t.series || ''}`;
+}
+
+// CommonJS export for the desktop app / CLI
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { flattenJsonObject, jsonObjectsToTable, isObjectArrayTable, unwrapSingleKeyItems, findJsonObjectArrays, scoreJsonTable, pageSourceKey, tableIdentity };
+}
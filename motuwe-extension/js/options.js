@@ -53,7 +53,7 @@ class MotuweOptions {
 
   async loadSettings() {
     try {
-      const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
       const settings = { ...this.defaultSettings, ...response.settings };
       
       this.populateForm(settings);
@@ -102,8 +102,8 @@ class MotuweOptions {
       const settings = this.collectFormData();
       
       await chrome.runtime.sendMessage({
-        action: 'saveSettings',
-        settings: settings
+        type: 'SAVE_SETTINGS',
+        payload: settings
       });
 
       this.showStatus('Settings saved successfully!', 'success');
@@ -137,8 +137,8 @@ class MotuweOptions {
 
     try {
       await chrome.runtime.sendMessage({
-        action: 'saveSettings',
-        settings: this.defaultSettings
+        type: 'SAVE_SETTINGS',
+        payload: this.defaultSettings
       });
 
       this.populateForm(this.defaultSettings);
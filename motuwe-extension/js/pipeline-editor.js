@@ -0,0 +1,267 @@
+// Step-by-step transformation pipeline builder for a single table (side panel)
+class PipelineEditor {
+  constructor(transformer) {
+    this.transformer = transformer || new DataTransformer();
+    this.catalog = this.transformer.getTransformationCatalog();
+    this.previewRows = 5;
+  }
+
+  // Pick the saved pipeline for a table: same selector first, then same header row
+  matchPipeline(pipelines, table, headers) {
+    if (!Array.isArray(pipelines) || !pipelines.length) return null;
+    const bySelector = pipelines.find(p => p.match?.selector && p.match.selector === table?.selector);
+    if (bySelector) return bySelector;
+    const headerKey = JSON.stringify((headers || []).map(h => String(h ?? '').trim()));
+    return pipelines.find(p => Array.isArray(p.match?.headers) && JSON.stringify(p.match.headers) === headerKey) || null;
+  }
+
+  // Insert or replace the pipeline for a table; returns the new list
+  upsertPipeline(pipelines, table, headers, steps) {
+    const list = Array.isArray(pipelines) ? [...pipelines] : [];
+    const entry = {
+      name: `${table?.type || 'table'} ${String(table?.selector || '').slice(0, 40)}`.trim(),
+      match: { selector: table?.selector || '', headers: (headers || []).map(h => String(h ?? '').trim()) },
+      steps: steps.map(({ type, options }) => ({ type, options: { ...options } })),
+      updated: Date.now()
+    };
+    const existing = this.matchPipeline(list, table, headers);
+    if (existing) list[list.indexOf(existing)] = entry;
+    else list.push(entry);
+    return list;
+  }
+
+  removePipeline(pipelines, table, headers) {
+    const existing = this.matchPipeline(pipelines, table, headers);
+    return (pipelines || []).filter(p => p !== existing);
+  }
+
+  defaultOptions(type) {
+    const options = {};
+    (this.catalog[type]?.fields || []).forEach(field => {
+      if (field.default !== undefined) options[field.name] = field.default;
+      else if (field.kind === 'column') options[field.name] = 0;
+      else if (field.kind === 'checkbox') options[field.name] = false;
+      else if (field.kind === 'text') options[field.name] = '';
+    });
+    return options;
+  }
+
+  // Build the editor inside container. source is [headers, ...rows]; handlers: onApply(matrix, steps), onSave(steps), onReset()
+  render(container, { source, steps = [], onApply, onSave, onReset } = {}) {
+    const state = { steps: steps.map(s => ({ type: s.type, options: { ...s.options } })), result: null };
+    container.innerHTML = '';
+
+    const list = document.createElement('div');
+    list.className = 'pipeline-steps';
+    const sourceInfo = document.createElement('div');
+    sourceInfo.className = 'muted';
+    sourceInfo.textContent = `Source: ${Math.max(0, source.length - 1)} rows × ${(source[0] || []).length} columns`;
+
+    const actions = document.createElement('div');
+    actions.className = 'table-actions';
+    actions.style.marginTop = '6px';
+    const addSel = document.createElement('select');
+    addSel.innerHTML = '<option value="">+ Add step…</option>' +
+      Object.entries(this.catalog).map(([type, def]) => `<option value="${type}">${def.label}</option>`).join('');
+    const applyBtn = document.createElement('button');
+    applyBtn.textContent = 'Apply';
+    const saveBtn = document.createElement('button');
+    saveBtn.textContent = 'Save for domain';
+    saveBtn.title = 'Replay this pipeline automatically on the next scrape of this domain';
+    const resetBtn = document.createElement('button');
+    resetBtn.textContent = 'Reset';
+    const status = document.createElement('span');
+    status.className = 'muted';
+    actions.append(addSel, applyBtn, saveBtn, resetBtn, status);
+    container.append(sourceInfo, list, actions);
+
+    const run = async () => {
+      state.result = await this.transformer.transformDataWithSteps(source, state.steps);
+      return state.result;
+    };
+
+    // Column choices of step i come from the output of step i-1
+    const inputHeaders = (i) => {
+      const prev = i === 0 ? source : state.result?.steps[i - 1]?.data;
+      return (prev && prev[0]) || source[0] || [];
+    };
+
+    const refreshPreviews = async () => {
+      const result = await run();
+      list.querySelectorAll('.pipeline-step').forEach((el, i) => {
+        this.renderPreview(el.querySelector('.pipeline-preview'), result.steps[i]);
+      });
+      status.textContent = result.failed ? 'Pipeline has errors' : `${Math.max(0, result.data.length - 1)} rows`;
+    };
+
+    const rebuild = async () => {
+      await run();
+      list.innerHTML = '';
+      state.steps.forEach((step, i) => list.appendChild(this.renderStep(step, i, state, inputHeaders(i), { rebuild, refreshPreviews })));
+      await refreshPreviews();
+    };
+
+    addSel.addEventListener('change', async () => {
+      if (!addSel.value) return;
+      state.steps.push({ type: addSel.value, options: this.defaultOptions(addSel.value) });
+      addSel.value = '';
+      await rebuild();
+    });
+    applyBtn.addEventListener('click', async () => {
+      const result = await run();
+      if (result.failed) { status.textContent = 'Fix failing steps before applying'; return; }
+      if (onApply) await onApply(result.data, state.steps);
+      status.textContent = 'Applied';
+    });
+    saveBtn.addEventListener('click', async () => {
+      try {
+        if (onSave) await onSave(state.steps);
+        status.textContent = state.steps.length ? 'Saved for this domain' : 'Removed saved pipeline';
+      } catch (e) {
+        status.textContent = 'Save failed: ' + e.message;
+      }
+    });
+    resetBtn.addEventListener('click', async () => {
+      state.steps = [];
+      await rebuild();
+      if (onReset) await onReset();
+    });
+
+    return rebuild();
+  }
+
+  renderStep(step, index, state, headers, { rebuild, refreshPreviews }) {
+    const def = this.catalog[step.type] || { label: step.type, fields: [] };
+    const el = document.createElement('div');
+    el.className = 'pipeline-step';
+
+    const head = document.createElement('div');
+    head.className = 'row';
+    const title = document.createElement('strong');
+    title.textContent = `${index + 1}. ${def.label}`;
+    const tools = document.createElement('div');
+    tools.className = 'table-actions';
+    const move = (delta) => async () => {
+      const j = index + delta;
+      if (j < 0 || j >= state.steps.length) return;
+      [state.steps[index], state.steps[j]] = [state.steps[j], state.steps[index]];
+      await rebuild();
+    };
+    [['↑', move(-1)], ['↓', move(1)], ['✕', async () => { state.steps.splice(index, 1); await rebuild(); }]].forEach(([label, fn]) => {
+      const b = document.createElement('button');
+      b.textContent = label;
+      b.addEventListener('click', fn);
+      tools.appendChild(b);
+    });
+    head.append(title, tools);
+
+    const fields = document.createElement('div');
+    fields.className = 'row pipeline-fields';
+    def.fields.forEach(field => fields.appendChild(this.renderField(field, step, headers, { rebuild, refreshPreviews })));
+
+    const preview = document.createElement('div');
+    preview.className = 'pipeline-preview';
+    el.append(head, fields, preview);
+    return el;
+  }
+
+  renderField(field, step, headers, { rebuild, refreshPreviews }) {
+    const label = document.createElement('label');
+    label.className = 'muted';
+    const value = step.options[field.name];
+    let input;
+
+    const columnOptions = (selected) => headers.map((h, i) =>
+      `<option value="${i}"${selected(i) ? ' selected' : ''}>${this.escape(h || `Col ${i + 1}`)}</option>`).join('');
+
+    switch (field.kind) {
+      case 'column':
+        input = document.createElement('select');
+        input.innerHTML = columnOptions(i => i === Number(value));
+        input.addEventListener('change', async () => { step.options[field.name] = Number(input.value); await rebuild(); });
+        break;
+      case 'columns':
+        input = document.createElement('select');
+        input.multiple = true;
+        input.size = Math.min(4, Math.max(2, headers.length));
+        input.title = 'None selected = all columns';
+        input.innerHTML = columnOptions(i => Array.isArray(value) && value.includes(i));
+        input.addEventListener('change', async () => {
+          const picked = [...input.selectedOptions].map(o => Number(o.value));
+          // Empty selection falls back to the transformation's default ('all')
+          if (picked.length) step.options[field.name] = picked;
+          else delete step.options[field.name];
+          await rebuild();
+        });
+        break;
+      case 'select':
+        input = document.createElement('select');
+        input.innerHTML = field.choices.map(c => `<option${c === value ? ' selected' : ''}>${c}</option>`).join('');
+        input.addEventListener('change', async () => { step.options[field.name] = input.value; await rebuild(); });
+        break;
+      case 'checkbox':
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = !!value;
+        input.addEventListener('change', async () => { step.options[field.name] = input.checked; await rebuild(); });
+        break;
+      case 'number':
+      case 'text':
+      default:
+        input = document.createElement('input');
+        input.type = field.kind === 'number' ? 'number' : 'text';
+        input.value = value ?? '';
+        input.style.width = '110px';
+        input.addEventListener('input', async () => {
+          step.options[field.name] = field.kind === 'number' ? Number(input.value) : input.value;
+          await refreshPreviews();
+        });
+        // Column lists of later steps may depend on this value
+        input.addEventListener('change', rebuild);
+    }
+
+    label.append(`${field.label} `, input);
+    return label;
+  }
+
+  renderPreview(host, stepResult) {
+    if (!host) return;
+    host.innerHTML = '';
+    if (!stepResult) return;
+    if (stepResult.error) {
+      const err = document.createElement('div');
+      err.className = 'diff-removed';
+      err.textContent = `Error: ${stepResult.error}`;
+      host.appendChild(err);
+      return;
+    }
+    const data = stepResult.data || [];
+    const info = document.createElement('div');
+    info.className = 'muted';
+    info.textContent = `→ ${Math.max(0, data.length - 1)} rows × ${(data[0] || []).length} columns`;
+    const wrap = document.createElement('div');
+    wrap.className = 'table-wrap';
+    const table = document.createElement('table');
+    table.className = 'table';
+    data.slice(0, this.previewRows + 1).forEach((row, i) => {
+      const tr = document.createElement('tr');
+      row.forEach(cell => {
+        const td = document.createElement(i === 0 ? 'th' : 'td');
+        td.textContent = String(cell ?? '');
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+    wrap.appendChild(table);
+    host.append(info, wrap);
+  }
+
+  escape(text) {
+    return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.PipelineEditor = PipelineEditor;
+}
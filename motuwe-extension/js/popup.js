@@ -102,6 +102,7 @@ class MotuwePopup {
       // Content script not injected, inject it now
       const scripts = [
         'js/selector-engine.js',
+        'js/xlsx-writer.js',
         'js/excel-export.js',
         'js/data-transformer.js',
         'js/iframe-scraper.js',
@@ -135,7 +136,7 @@ class MotuwePopup {
 
   async loadSettings() {
     try {
-      const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
       const settings = response.settings;
       
       if (settings.waitForDynamic !== undefined) {
@@ -382,10 +383,7 @@ class MotuwePopup {
     if (!this.currentTab) return;
 
     try {
-      // First inject the selector
-      await chrome.runtime.sendMessage({ action: 'injectTableSelector' });
-      
-      // Then activate it
+      // Activate the in-page selector
       await chrome.tabs.sendMessage(this.currentTab.id, {
         action: 'activateSelector'
       });
@@ -442,10 +440,8 @@ class MotuwePopup {
       } else {
         // Send to background for CSV/JSON export
         await chrome.runtime.sendMessage({
-          action: 'exportData',
-          data: data,
-          format: format,
-          filename: filename
+          type: 'EXPORT_DATA',
+          payload: { data, format, filename }
         });
       }
 
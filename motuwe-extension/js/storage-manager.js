@@ -293,6 +293,14 @@ class StorageManager {
     return await this.query(this.stores.tables, 'hash', dataHash, limit);
   }
 
+  // Most recent stored version of a table identified by URL + tableIdentity key
+  async getLatestTable(url, key) {
+    const tables = await this.query(this.stores.tables, 'url', url);
+    const matches = tables.filter(t => t.key === key);
+    matches.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    return matches[0] || null;
+  }
+
   // Session management
   async saveSession(sessionData) {
     const sessionRecord = {
@@ -532,6 +540,15 @@ class StorageManager {
     }
   }
 
+  // Transformation pipelines, stored per domain in the settings store
+  async savePipelines(domain, pipelines) {
+    return await this.setSetting(`pipelines:${domain}`, pipelines, 'pipelines');
+  }
+
+  async getPipelines(domain) {
+    return await this.getSetting(`pipelines:${domain}`, []);
+  }
+
   // Data analysis and statistics
   async getStorageStats() {
     const stats = {};
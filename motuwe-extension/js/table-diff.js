@@ -0,0 +1,179 @@
+// Row-level change detection between two scrapes of the same table
+class TableDiff {
+  constructor() {
+    this.changeTypes = ['added', 'removed', 'changed'];
+  }
+
+  // Compare two matrices (first row = headers) keyed by a column name or index
+  diff(previous, current, options = {}) {
+    const { keyColumn = 0, ignoreCase = false, trim = true } = options;
+
+    const prev = this.normalizeMatrix(previous);
+    const curr = this.normalizeMatrix(current);
+    const headers = curr.headers.length ? curr.headers : prev.headers;
+
+    const keyName = typeof keyColumn === 'number' ? headers[keyColumn] : keyColumn;
+    const prevKeyIndex = this.resolveColumn(prev.headers, keyColumn, keyName);
+    const currKeyIndex = this.resolveColumn(curr.headers, keyColumn, keyName);
+    if (currKeyIndex === -1) {
+      throw new Error(`Key column not found: ${keyColumn}`);
+    }
+
+    const normalizeValue = (v) => {
+      let s = v === null || v === undefined ? '' : String(v);
+      if (trim) s = s.replace(/\s+/g, ' ').trim();
+      if (ignoreCase) s = s.toLowerCase();
+      return s;
+    };
+
+    const prevIndex = this.indexRows(prev.rows, prevKeyIndex, normalizeValue);
+    const currIndex = this.indexRows(curr.rows, currKeyIndex, normalizeValue);
+
+    // Columns are aligned by header name so reordered columns do not show as changes
+    const columns = this.alignColumns(prev.headers, curr.headers);
+
+    const result = {
+      keyColumn: keyName || String(keyColumn),
+      headers,
+      added: [],
+      removed: [],
+      changed: [],
+      unchanged: 0,
+      previousRows: prev.rows.length,
+      currentRows: curr.rows.length
+    };
+
+    currIndex.forEach((row, key) => {
+      const before = prevIndex.get(key);
+      if (!before) {
+        result.added.push({ key, row });
+        return;
+      }
+
+      const changes = [];
+      columns.forEach(({ name, prevIndex: pi, currIndex: ci }) => {
+        const a = pi === -1 ? '' : before[pi];
+        const b = ci === -1 ? '' : row[ci];
+        if (normalizeValue(a) !== normalizeValue(b)) {
+          changes.push({ column: name, before: a ?? '', after: b ?? '' });
+        }
+      });
+
+      if (changes.length) {
+        result.changed.push({ key, before, after: row, changes });
+      } else {
+        result.unchanged++;
+      }
+    });
+
+    prevIndex.forEach((row, key) => {
+      if (!currIndex.has(key)) {
+        result.removed.push({ key, row });
+      }
+    });
+
+    result.summary = {
+      added: result.added.length,
+      removed: result.removed.length,
+      changed: result.changed.length,
+      unchanged: result.unchanged
+    };
+    result.hasChanges = result.added.length + result.removed.length + result.changed.length > 0;
+
+    return result;
+  }
+
+  // Accept [headers, ...rows] or { headers, rows }
+  normalizeMatrix(input) {
+    if (!input) return { headers: [], rows: [] };
+
+    if (Array.isArray(input)) {
+      const [headers = [], ...rows] = input;
+      return { headers: headers.map(h => String(h ?? '')), rows };
+    }
+
+    const headers = Array.isArray(input.headers) ? input.headers.map(h => String(h ?? '')) : [];
+    let rows = Array.isArray(input.rows) ? input.rows : [];
+    // Scraped matrices usually repeat the header row inside rows
+    const headerKey = JSON.stringify(headers);
+    rows = rows.filter(row => JSON.stringify(row) !== headerKey);
+    return { headers, rows };
+  }
+
+  resolveColumn(headers, keyColumn, keyName) {
+    if (keyName !== undefined) {
+      const byName = headers.indexOf(keyName);
+      if (byName !== -1) return byName;
+    }
+    if (typeof keyColumn === 'number' && keyColumn < headers.length) return keyColumn;
+    return -1;
+  }
+
+  // Map row key -> row; duplicate keys get an occurrence suffix ("Ronaldo #2")
+  indexRows(rows, keyIndex, normalizeValue) {
+    const index = new Map();
+    if (keyIndex === -1) return index;
+
+    const seen = new Map();
+    rows.forEach(row => {
+      const base = normalizeValue(row[keyIndex]);
+      if (!base) return;
+      const count = (seen.get(base) || 0) + 1;
+      seen.set(base, count);
+      index.set(count > 1 ? `${base} #${count}` : base, row);
+    });
+
+    return index;
+  }
+
+  alignColumns(prevHeaders, currHeaders) {
+    const names = [...currHeaders];
+    prevHeaders.forEach(h => {
+      if (!names.includes(h)) names.push(h);
+    });
+
+    return names.map((name, i) => ({
+      name: name || `Col ${i + 1}`,
+      prevIndex: prevHeaders.indexOf(name),
+      currIndex: currHeaders.indexOf(name)
+    }));
+  }
+
+  // Flat rows for CSV export: one line per added/removed row and per changed cell
+  toRows(diffResult) {
+    const rows = [['Change', 'Key', 'Column', 'Before', 'After']];
+
+    diffResult.added.forEach(({ key, row }) => {
+      rows.push(['added', key, '', '', row.join(' | ')]);
+    });
+
+    diffResult.removed.forEach(({ key, row }) => {
+      rows.push(['removed', key, '', row.join(' | '), '']);
+    });
+
+    diffResult.changed.forEach(({ key, changes }) => {
+      changes.forEach(({ column, before, after }) => {
+        rows.push(['changed', key, column, before, after]);
+      });
+    });
+
+    return rows;
+  }
+
+  toCSV(diffResult, delimiter = ',') {
+    const escape = (v) => {
+      const s = String(v ?? '');
+      return /["\r\n]/.test(s) || s.includes(delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    return this.toRows(diffResult).map(row => row.map(escape).join(delimiter)).join('\r\n');
+  }
+
+  toJSON(diffResult) {
+    return JSON.stringify(diffResult, null, 2);
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.TableDiff = TableDiff;
+}
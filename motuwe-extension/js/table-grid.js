@@ -0,0 +1,110 @@
+// Shared table grid parser: colspan/rowspan layout and header-row detection.
+// Used by content.js (DOM) and by the desktop app / CLI (cheerio) so both
+// produce the same matrix for the same HTML. Plain functions on purpose:
+// content.js is re-injected and class/let declarations would collide.
+
+function normalizeGridText(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+// "Gls", "Gls" -> "Gls", "Gls (2)"; empty names become "Col n"
+function uniqueHeaderNames(names) {
+  const seen = new Map();
+  return names.map((name, i) => {
+    const base = name || `Col ${i + 1}`;
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return n === 1 ? base : `${base} (${n})`;
+  });
+}
+
+// Header levels (top to bottom) -> one compound name per column: "Performance / Gls".
+// A rowspan repeats the same text down the levels; it is used once.
+function flattenHeaderRows(levels) {
+  const cols = levels.reduce((max, row) => Math.max(max, row.length), 0);
+  const names = [];
+  for (let c = 0; c < cols; c++) {
+    const parts = [];
+    for (const row of levels) {
+      const text = row[c] || '';
+      if (text && parts[parts.length - 1] !== text) parts.push(text);
+    }
+    names.push(parts.join(' / '));
+  }
+  return uniqueHeaderNames(names);
+}
+
+// Colspan/rowspan layout: grid[r][c] is the input cell covering slot (r, c).
+// Rich-cell extraction uses it to line cell elements up with the text columns.
+function placeGridCells(rows) {
+  const grid = [];
+  let maxCols = 0;
+
+  for (let r = 0; r < rows.length; r++) {
+    grid[r] = grid[r] || [];
+    let c = 0;
+    for (const cell of rows[r].cells) {
+      // Skip slots already filled by rowspans from rows above
+      while (grid[r][c] !== undefined) c++;
+      const colSpan = Math.min(1000, Math.max(1, parseInt(cell.colSpan || '1', 10) || 1));
+      // rowspan never extends past the last row of the table
+      const rowSpan = Math.min(rows.length - r, Math.max(1, parseInt(cell.rowSpan || '1', 10) || 1));
+      for (let rr = 0; rr < rowSpan; rr++) {
+        const rIndex = r + rr;
+        grid[rIndex] = grid[rIndex] || [];
+        for (let cc = 0; cc < colSpan; cc++) {
+          grid[rIndex][c + cc] = cell;
+        }
+      }
+      c += colSpan;
+      if (c > maxCols) maxCols = c;
+    }
+  }
+  return { grid, colsCount: maxCols };
+}
+
+// rows: [{ inHead, hasTh, allTh, cells: [{ text, colSpan, rowSpan }] }] in document order.
+// Returns { rows, headers, headerIndex, headerRows, rowSources, colsCount } where rows are the
+// non-empty grid rows padded to colsCount, rowSources their input row indexes and headerIndex
+// the input index of the last header row. A multi-row header ("Performance" over "Gls | Ast") is
+// collapsed into one row of compound names at the top; headerRows keeps the levels.
+function buildTableGrid(rows) {
+  const { grid, colsCount: maxCols } = placeGridCells(rows);
+  const padded = grid.map((row) => Array.from({ length: maxCols }, (_, i) => (row[i] ? normalizeGridText(row[i].text) : '')));
+
+  // Header block: the <thead> rows, otherwise the first row containing a <th>
+  // followed by any rows made only of <th> cells
+  let headerStart = rows.findIndex((row) => row.inHead);
+  let headerIndex = rows.map((row) => !!row.inHead).lastIndexOf(true);
+  if (headerStart < 0) {
+    headerStart = headerIndex = rows.findIndex((row) => row.hasTh);
+    // Up to three levels, and at least one row must be left for data
+    if (headerStart >= 0 && rows[headerStart].allTh) {
+      while (headerIndex - headerStart < 2 && rows[headerIndex + 2] && rows[headerIndex + 1].allTh) headerIndex++;
+    }
+  }
+  let levels = headerStart >= 0 ? padded.slice(headerStart, headerIndex + 1).filter((row) => row.some((v) => v.length)) : [];
+  if (headerStart >= 0 && !levels.length) levels = [padded[headerIndex]];
+  const headers = levels.length ? flattenHeaderRows(levels) : [];
+
+  let out = padded.map((row, r) => ({ row, r }));
+  if (levels.length > 1) {
+    out = [...out.slice(0, headerStart), { row: headers, r: headerIndex }, ...out.slice(headerIndex + 1)];
+  }
+  out = out.filter(({ row }) => row.some((v) => v.length));
+
+  const result = {
+    rows: out.map(({ row }) => row),
+    headers,
+    headerIndex,
+    rowSources: out.map(({ r }) => r),
+    colsCount: maxCols
+  };
+  if (levels.length > 1) result.headerRows = levels;
+  return result;
+}
+
+// CommonJS export for the desktop app / CLI
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { normalizeGridText, uniqueHeaderNames, flattenHeaderRows, placeGridCells, buildTableGrid };
+}
@@ -489,6 +489,35 @@ class TemplateManager {
     return result;
   }
 
+  // Apply a template's mapping, transformations and validation to already
+  // extracted table data (e.g. tables detected by the root content script)
+  async applyTemplateToData(templateId, data) {
+    const template = await this.getTemplate(templateId);
+    if (!template) {
+      throw new Error(`Template not found: ${templateId}`);
+    }
+
+    let processedData = data;
+    if (template.dataMapping) {
+      processedData = await this.applyDataMapping(processedData, template.dataMapping);
+    }
+    if (template.transformations && template.transformations.length > 0) {
+      processedData = await this.applyTransformations(processedData, template.transformations);
+    }
+
+    const validation = template.validation
+      ? await this.validateData(processedData, template.validation)
+      : { valid: true, errors: [] };
+
+    return {
+      templateId,
+      templateName: template.name,
+      originalData: data,
+      processedData,
+      validation
+    };
+  }
+
   // Find tables using template selectors
   async findTablesWithTemplate(template, options = {}) {
     const foundTables = [];
@@ -608,8 +637,10 @@ class TemplateManager {
   async applyTransformations(data, transformations) {
     let result = data;
     
-    // Use worker manager if available
-    if (window.WorkerManager) {
+    // Prefer the full DataTransformer pipeline, then the worker manager
+    if (window.DataTransformer) {
+      result = await new DataTransformer().transformData(result, transformations);
+    } else if (window.WorkerManager) {
       const workerManager = new WorkerManager();
       try {
         result = await workerManager.transformData(result, transformations);
@@ -0,0 +1,623 @@
+// Dependency-free XLSX writer: SpreadsheetML parts packed into a (stored) zip
+class XlsxWriter {
+  constructor() {
+    this.sheets = [];
+    this.usedNames = new Set();
+    // cellXfs indexes in styles.xml
+    this.styles = { general: 0, header: 1, date: 2, dateTime: 3, percent: 4, integer: 5, decimal: 6 };
+  }
+
+  // Add a worksheet from a matrix (first row = headers when options.header is true).
+  // options.charts: [{ type: bar|line|scatter|pie, title, categoryColumn, valueColumns, barDirection, anchor }]
+  // options.headerRows: header levels (top to bottom, as buildTableGrid returns them) written
+  // instead of the first row, with group labels merged over their columns (not with charts)
+  addSheet(name, data, options = {}) {
+    const { header = true, freezeHeader = header, autoWidth = true, autoFilter = header, charts = [], headerRows } = options;
+    let rows = Array.isArray(data) ? data.filter(Array.isArray) : [];
+    const chartList = (Array.isArray(charts) ? charts : [charts]).filter(Boolean);
+    const levels = header && !chartList.length && rows.length && Array.isArray(headerRows) && headerRows.length > 1 ? headerRows : null;
+    let merges = [];
+    if (levels) {
+      merges = this.headerMerges(levels);
+      const top = levels.map(row => row.map(v => v ?? ''));
+      // Only the top-left cell of a merged range keeps its label
+      merges.forEach(m => {
+        for (let r = m.top; r <= m.bottom; r++) {
+          for (let c = m.left; c <= m.right; c++) if (r !== m.top || c !== m.left) top[r][c] = '';
+        }
+      });
+      rows = [...top, ...rows.slice(1)];
+    }
+    const headerCount = levels ? levels.length : 1;
+    const sheet = {
+      name: this.uniqueSheetName(name),
+      rows,
+      header: header && rows.length > 0,
+      headerCount,
+      merges,
+      freezeHeader: freezeHeader && rows.length > headerCount,
+      autoWidth,
+      autoFilter: autoFilter && rows.length > headerCount,
+      charts: []
+    };
+    chartList.forEach(chart => sheet.charts.push(this.resolveChart(sheet, chart)));
+    this.sheets.push(sheet);
+    return this;
+  }
+
+  // Ranges to merge in a multi-level header: a label over the columns that share it (under
+  // the same parent labels) and a label repeated down the levels by a rowspan
+  headerMerges(levels) {
+    const cols = levels.reduce((max, row) => Math.max(max, row.length), 0);
+    const text = (l, c) => String(levels[l][c] ?? '');
+    const done = levels.map(() => []);
+    const merges = [];
+    for (let l = 0; l < levels.length; l++) {
+      for (let c = 0; c < cols; c++) {
+        if (done[l][c] || !text(l, c)) continue;
+        const label = text(l, c);
+        let right = c;
+        // The bottom level holds the column names themselves; equal neighbours there stay apart
+        while (l < levels.length - 1 && right + 1 < cols && !done[l][right + 1] && text(l, right + 1) === label &&
+          levels.slice(0, l).every((_, u) => text(u, right + 1) === text(u, c))) right++;
+        let bottom = l;
+        const span = Array.from({ length: right - c + 1 }, (_, i) => c + i);
+        while (bottom + 1 < levels.length && span.every(cc => text(bottom + 1, cc) === label)) bottom++;
+        for (let r = l; r <= bottom; r++) span.forEach(cc => { done[r][cc] = true; });
+        if (right > c || bottom > l) merges.push({ top: l, left: c, bottom, right });
+      }
+    }
+    return merges;
+  }
+
+  // Excel sheet names: 1-31 chars, no []:*?/\ and unique case-insensitively
+  uniqueSheetName(name) {
+    let base = String(name || `Sheet${this.sheets.length + 1}`).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || `Sheet${this.sheets.length + 1}`;
+    let candidate = base;
+    for (let i = 2; this.usedNames.has(candidate.toLowerCase()); i++) {
+      const suffix = ` (${i})`;
+      candidate = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    this.usedNames.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  // Returns the .xlsx file as a Uint8Array
+  build() {
+    if (!this.sheets.length) this.addSheet('Sheet1', []);
+
+    // Number drawing and chart parts across the whole workbook
+    let drawing = 0;
+    let part = 0;
+    this.sheets.forEach(sheet => {
+      sheet.drawing = sheet.charts.length ? ++drawing : 0;
+      sheet.charts.forEach(chart => { chart.part = ++part; });
+    });
+
+    const files = [
+      { name: '[Content_Types].xml', data: this.contentTypesXml() },
+      { name: '_rels/.rels', data: this.rootRelsXml() },
+      { name: 'docProps/app.xml', data: this.appXml() },
+      { name: 'docProps/core.xml', data: this.coreXml() },
+      { name: 'xl/workbook.xml', data: this.workbookXml() },
+      { name: 'xl/_rels/workbook.xml.rels', data: this.workbookRelsXml() },
+      { name: 'xl/styles.xml', data: this.stylesXml() }
+    ];
+    this.sheets.forEach((sheet, i) => {
+      files.push({ name: `xl/worksheets/sheet${i + 1}.xml`, data: this.sheetXml(sheet) });
+      if (!sheet.drawing) return;
+      files.push({ name: `xl/worksheets/_rels/sheet${i + 1}.xml.rels`, data: this.relsXml([
+        { type: 'drawing', target: `../drawings/drawing${sheet.drawing}.xml` }
+      ]) });
+      files.push({ name: `xl/drawings/drawing${sheet.drawing}.xml`, data: this.drawingXml(sheet) });
+      files.push({ name: `xl/drawings/_rels/drawing${sheet.drawing}.xml.rels`, data: this.relsXml(
+        sheet.charts.map(chart => ({ type: 'chart', target: `../charts/chart${chart.part}.xml` }))
+      ) });
+      sheet.charts.forEach(chart => {
+        files.push({ name: `xl/charts/chart${chart.part}.xml`, data: this.chartXml(sheet, chart) });
+      });
+    });
+
+    return this.zip(files);
+  }
+
+  // --- Cells -------------------------------------------------------------
+
+  // Infer the stored type of a scraped value: number, percent, date or text
+  typedCell(value, isHeader) {
+    if (value === null || value === undefined || value === '') return null;
+    if (isHeader) return { type: 'text', value: String(value), style: this.styles.header };
+    if (typeof value === 'number' && isFinite(value)) {
+      return { type: 'number', value, style: Number.isInteger(value) ? this.styles.general : this.styles.decimal };
+    }
+    if (typeof value === 'boolean') return { type: 'boolean', value };
+    if (value instanceof Date && !isNaN(value)) return { type: 'number', value: this.dateSerial(value), style: this.styles.dateTime };
+
+    const text = String(value).trim();
+
+    // Leading zeros (ids, zip codes) stay text; exponents past the double range ("1e400") too
+    if (/^[-+]?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(text) && text.replace(/^[-+]/, '').length <= 15) {
+      const n = Number(text);
+      if (Number.isFinite(n)) return { type: 'number', value: n, style: text.includes('.') ? this.styles.decimal : this.styles.general };
+    }
+    if (/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+      const n = Number(text.replace(/,/g, ''));
+      if (Number.isFinite(n)) return { type: 'number', value: n, style: text.includes('.') ? this.styles.decimal : this.styles.integer };
+    }
+    const pct = text.match(/^([-+]?\d+(?:\.\d+)?)\s?%$/);
+    if (pct) return { type: 'number', value: Number(pct[1]) / 100, style: this.styles.percent };
+
+    // ISO dates only: 03/04/2024 is ambiguous between locales and stays text
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (iso) {
+      const [, y, m, d, hh = '0', mm = '0', ss = '0'] = iso;
+      const date = new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss));
+      if (date.getUTCMonth() === +m - 1 && date.getUTCDate() === +d) {
+        return { type: 'number', value: this.dateSerial(date), style: iso[4] ? this.styles.dateTime : this.styles.date };
+      }
+    }
+
+    return { type: 'text', value: text };
+  }
+
+  // Days since 1899-12-30 (Excel's 1900 date system, leap-bug included)
+  dateSerial(date) {
+    return (date.getTime() - Date.UTC(1899, 11, 30)) / 86400000;
+  }
+
+  cellXml(ref, cell) {
+    const s = cell.style ? ` s="${cell.style}"` : '';
+    switch (cell.type) {
+      case 'number':
+        return `<c r="${ref}"${s}><v>${cell.value}</v></c>`;
+      case 'boolean':
+        return `<c r="${ref}"${s} t="b"><v>${cell.value ? 1 : 0}</v></c>`;
+      default:
+        return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(cell.value)}</t></is></c>`;
+    }
+  }
+
+  columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  columnWidths(rows) {
+    const widths = [];
+    rows.slice(0, 1000).forEach((row, r) => {
+      row.forEach((cell, c) => {
+        const len = Math.max(...String(cell ?? '').split('\n').map(line => line.length));
+        // Bold header text renders wider
+        widths[c] = Math.max(widths[c] || 0, r === 0 ? len * 1.15 : len);
+      });
+    });
+    return widths.map(w => Math.min(Math.max(Math.ceil(w) + 2, 8), 60));
+  }
+
+  cellRange(m) {
+    return `${this.columnName(m.left)}${m.top + 1}:${this.columnName(m.right)}${m.bottom + 1}`;
+  }
+
+  // --- Parts -------------------------------------------------------------
+
+  sheetXml(sheet) {
+    const { rows } = sheet;
+    const colCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const lastRef = `${this.columnName(Math.max(colCount - 1, 0))}${Math.max(rows.length, 1)}`;
+
+    const parts = [
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+      `<dimension ref="A1:${lastRef}"/>`
+    ];
+
+    parts.push('<sheetViews><sheetView workbookViewId="0">');
+    if (sheet.freezeHeader) {
+      const first = `A${sheet.headerCount + 1}`;
+      parts.push(`<pane ySplit="${sheet.headerCount}" topLeftCell="${first}" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft" activeCell="${first}" sqref="${first}"/>`);
+    }
+    parts.push('</sheetView></sheetViews>');
+    parts.push('<sheetFormatPr defaultRowHeight="15"/>');
+
+    if (sheet.autoWidth && colCount) {
+      parts.push('<cols>');
+      // Group labels span several columns and do not widen the first one
+      this.columnWidths(rows.slice(sheet.headerCount - 1)).forEach((width, i) => {
+        parts.push(`<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`);
+      });
+      parts.push('</cols>');
+    }
+
+    parts.push('<sheetData>');
+    rows.forEach((row, r) => {
+      const cells = [];
+      row.forEach((value, c) => {
+        const cell = this.typedCell(value, sheet.header && r < sheet.headerCount);
+        if (cell) cells.push(this.cellXml(`${this.columnName(c)}${r + 1}`, cell));
+      });
+      parts.push(`<row r="${r + 1}">${cells.join('')}</row>`);
+    });
+    parts.push('</sheetData>');
+
+    if (sheet.autoFilter && colCount) {
+      parts.push(`<autoFilter ref="A${sheet.headerCount}:${lastRef}"/>`);
+    }
+    if (sheet.merges.length) {
+      parts.push(`<mergeCells count="${sheet.merges.length}">${sheet.merges.map(m => `<mergeCell ref="${this.cellRange(m)}"/>`).join('')}</mergeCells>`);
+    }
+    parts.push('<pageMargins left="0.7" right="0.7" top="0.75" bottom="0.75" header="0.3" footer="0.3"/>');
+    if (sheet.drawing) parts.push('<drawing r:id="rId1"/>');
+    parts.push('</worksheet>');
+    return parts.join('');
+  }
+
+  workbookXml() {
+    const sheets = this.sheets.map((sheet, i) =>
+      `<sheet name="${this.escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('');
+    // Autofilter ranges need a hidden _FilterDatabase name per sheet
+    const names = this.sheets.map((sheet, i) => {
+      if (!sheet.autoFilter) return '';
+      const colCount = sheet.rows.reduce((max, row) => Math.max(max, row.length), 0);
+      const ref = `$A$${sheet.headerCount}:$${this.columnName(colCount - 1)}$${sheet.rows.length}`;
+      return `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">'${this.escapeXml(sheet.name.replace(/'/g, "''"))}'!${ref}</definedName>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      '<bookViews><workbookView/></bookViews>' +
+      `<sheets>${sheets}</sheets>` +
+      (names ? `<definedNames>${names}</definedNames>` : '') +
+      '</workbook>';
+  }
+
+  workbookRelsXml() {
+    const rels = this.sheets.map((_, i) =>
+      `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`);
+    rels.push(`<Relationship Id="rId${this.sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`);
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${rels.join('')}</Relationships>`;
+  }
+
+  stylesXml() {
+    // numFmt 14 = short date, 22 = date time, 10 = 0.00%, 3 = #,##0, 4 = #,##0.00
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/><family val="2"/></font>' +
+      '<font><b/><sz val="11"/><name val="Calibri"/><family val="2"/></font></fonts>' +
+      '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+      '<fill><patternFill patternType="solid"><fgColor rgb="FFE8F5E9"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+      '<borders count="2"><border><left/><right/><top/><bottom/><diagonal/></border>' +
+      '<border><left/><right/><top/><bottom style="thin"><color rgb="FF4CAF50"/></bottom><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="7">' +
+      '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="2" borderId="1" xfId="0" applyFont="1" applyFill="1" applyBorder="1"/>' +
+      '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '</cellXfs>' +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+      '</styleSheet>';
+  }
+
+  contentTypesXml() {
+    const sheets = this.sheets.map((sheet, i) =>
+      `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>` +
+      (sheet.drawing ? `<Override PartName="/xl/drawings/drawing${sheet.drawing}.xml" ContentType="application/vnd.openxmlformats-officedocument.drawing+xml"/>` : '') +
+      sheet.charts.map(chart =>
+        `<Override PartName="/xl/charts/chart${chart.part}.xml" ContentType="application/vnd.openxmlformats-officedocument.drawingml.chart+xml"/>`).join('')
+    ).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+      '<Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>' +
+      sheets +
+      '</Types>';
+  }
+
+  rootRelsXml() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+      '<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties" Target="docProps/app.xml"/>' +
+      '</Relationships>';
+  }
+
+  appXml() {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"><Application>Motuwe Scraper</Application></Properties>';
+  }
+
+  coreXml() {
+    const now = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+      '<dc:creator>Motuwe Scraper</dc:creator>' +
+      `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>` +
+      `<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>` +
+      '</cp:coreProperties>';
+  }
+
+  relsXml(relations) {
+    const base = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/';
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      relations.map((rel, i) => `<Relationship Id="rId${i + 1}" Type="${base}${rel.type}" Target="${rel.target}"/>`).join('') +
+      '</Relationships>';
+  }
+
+  // --- Charts (DrawingML) --------------------------------------------------
+
+  // Column by index or header name (case-insensitive)
+  resolveColumnIndex(headers, ref) {
+    if (typeof ref === 'number') return ref >= 0 && ref < headers.length ? ref : -1;
+    if (/^\d+$/.test(String(ref))) return this.resolveColumnIndex(headers, Number(ref));
+    const wanted = String(ref ?? '').trim().toLowerCase();
+    return headers.findIndex(h => String(h ?? '').trim().toLowerCase() === wanted);
+  }
+
+  // Plain numbers and percentages; dates are stored as numbers but are not chart values
+  isNumericCell(value) {
+    const cell = this.typedCell(value, false);
+    return !!cell && cell.type === 'number' && cell.style !== this.styles.date && cell.style !== this.styles.dateTime;
+  }
+
+  // Normalize chart options against the sheet's header row
+  resolveChart(sheet, options) {
+    const types = ['bar', 'line', 'scatter', 'pie'];
+    const type = types.includes(options.type) ? options.type : 'bar';
+    const headers = sheet.rows[0] || [];
+    const body = sheet.rows.slice(1);
+
+    const category = this.resolveColumnIndex(headers, options.categoryColumn ?? 0);
+    if (category === -1) throw new Error(`Chart category column not found: ${options.categoryColumn}`);
+
+    let values = (Array.isArray(options.valueColumns) ? options.valueColumns : [options.valueColumns])
+      .filter(ref => ref !== undefined && ref !== null && ref !== '')
+      .map(ref => {
+        const index = this.resolveColumnIndex(headers, ref);
+        if (index === -1) throw new Error(`Chart value column not found: ${ref}`);
+        return index;
+      });
+    if (!values.length) {
+      // Default: every mostly-numeric column other than the category
+      values = headers.map((_, i) => i).filter(i => i !== category &&
+        body.filter(row => this.isNumericCell(row[i])).length > body.length / 2);
+    }
+    if (!values.length) throw new Error('Chart needs at least one numeric value column');
+    // A pie shows a single series
+    if (type === 'pie') values = values.slice(0, 1);
+
+    return {
+      type,
+      title: options.title || values.map(i => headers[i] || this.columnName(i)).join(', '),
+      category,
+      values,
+      barDirection: options.barDirection === 'bar' ? 'bar' : 'col',
+      anchor: options.anchor || null
+    };
+  }
+
+  sheetRef(sheet, col, firstRow, lastRow) {
+    const name = `'${sheet.name.replace(/'/g, "''")}'`;
+    const c = this.columnName(col);
+    return firstRow === lastRow ? `${name}!$${c}$${firstRow}` : `${name}!$${c}$${firstRow}:$${c}$${lastRow}`;
+  }
+
+  strRefXml(sheet, col, firstRow, lastRow) {
+    const points = sheet.rows.slice(firstRow - 1, lastRow).map((row, i) =>
+      `<c:pt idx="${i}"><c:v>${this.escapeXml(row[col] ?? '')}</c:v></c:pt>`).join('');
+    return `<c:strRef><c:f>${this.escapeXml(this.sheetRef(sheet, col, firstRow, lastRow))}</c:f>` +
+      `<c:strCache><c:ptCount val="${lastRow - firstRow + 1}"/>${points}</c:strCache></c:strRef>`;
+  }
+
+  numRefXml(sheet, col, firstRow, lastRow) {
+    const points = sheet.rows.slice(firstRow - 1, lastRow).map((row, i) => {
+      const cell = this.typedCell(row[col], false);
+      return cell && cell.type === 'number' ? `<c:pt idx="${i}"><c:v>${cell.value}</c:v></c:pt>` : '';
+    }).join('');
+    return `<c:numRef><c:f>${this.escapeXml(this.sheetRef(sheet, col, firstRow, lastRow))}</c:f>` +
+      `<c:numCache><c:formatCode>General</c:formatCode><c:ptCount val="${lastRow - firstRow + 1}"/>${points}</c:numCache></c:numRef>`;
+  }
+
+  seriesXml(sheet, chart, col, i) {
+    const last = Math.max(sheet.rows.length, 2);
+    const head = `<c:idx val="${i}"/><c:order val="${i}"/><c:tx>${this.strRefXml(sheet, col, 1, 1)}</c:tx>`;
+
+    switch (chart.type) {
+      case 'scatter':
+        return `<c:ser>${head}<c:spPr><a:ln w="19050"><a:noFill/></a:ln></c:spPr>` +
+          `<c:marker><c:symbol val="circle"/><c:size val="5"/></c:marker>` +
+          `<c:xVal>${this.numRefXml(sheet, chart.category, 2, last)}</c:xVal>` +
+          `<c:yVal>${this.numRefXml(sheet, col, 2, last)}</c:yVal><c:smooth val="0"/></c:ser>`;
+      case 'line':
+        return `<c:ser>${head}<c:marker><c:symbol val="circle"/><c:size val="5"/></c:marker>` +
+          `<c:cat>${this.strRefXml(sheet, chart.category, 2, last)}</c:cat>` +
+          `<c:val>${this.numRefXml(sheet, col, 2, last)}</c:val><c:smooth val="0"/></c:ser>`;
+      case 'pie':
+        return `<c:ser>${head}<c:cat>${this.strRefXml(sheet, chart.category, 2, last)}</c:cat>` +
+          `<c:val>${this.numRefXml(sheet, col, 2, last)}</c:val></c:ser>`;
+      case 'bar':
+      default:
+        return `<c:ser>${head}<c:invertIfNegative val="0"/>` +
+          `<c:cat>${this.strRefXml(sheet, chart.category, 2, last)}</c:cat>` +
+          `<c:val>${this.numRefXml(sheet, col, 2, last)}</c:val></c:ser>`;
+    }
+  }
+
+  axesXml(chart) {
+    const common = '<c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>';
+    const valAx = (id, cross, pos, crossBetween, gridlines) =>
+      `<c:valAx><c:axId val="${id}"/>${common}<c:axPos val="${pos}"/>${gridlines ? '<c:majorGridlines/>' : ''}` +
+      `<c:numFmt formatCode="General" sourceLinked="1"/><c:tickLblPos val="nextTo"/>` +
+      `<c:crossAx val="${cross}"/><c:crosses val="autoZero"/><c:crossBetween val="${crossBetween}"/></c:valAx>`;
+
+    if (chart.type === 'scatter') {
+      return valAx(500000001, 500000002, 'b', 'midCat', false) + valAx(500000002, 500000001, 'l', 'midCat', true);
+    }
+    const horizontal = chart.type === 'bar' && chart.barDirection === 'bar';
+    return `<c:catAx><c:axId val="500000001"/>${common}<c:axPos val="${horizontal ? 'l' : 'b'}"/>` +
+      '<c:numFmt formatCode="General" sourceLinked="1"/><c:tickLblPos val="nextTo"/>' +
+      '<c:crossAx val="500000002"/><c:crosses val="autoZero"/><c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/></c:catAx>' +
+      valAx(500000002, 500000001, horizontal ? 'b' : 'l', 'between', true);
+  }
+
+  chartXml(sheet, chart) {
+    const series = chart.values.map((col, i) => this.seriesXml(sheet, chart, col, i)).join('');
+    const axIds = '<c:axId val="500000001"/><c:axId val="500000002"/>';
+    let plot;
+
+    switch (chart.type) {
+      case 'line':
+        plot = `<c:lineChart><c:grouping val="standard"/><c:varyColors val="0"/>${series}<c:marker val="1"/>${axIds}</c:lineChart>`;
+        break;
+      case 'scatter':
+        plot = `<c:scatterChart><c:scatterStyle val="lineMarker"/><c:varyColors val="0"/>${series}${axIds}</c:scatterChart>`;
+        break;
+      case 'pie':
+        plot = `<c:pieChart><c:varyColors val="1"/>${series}<c:firstSliceAng val="0"/></c:pieChart>`;
+        break;
+      case 'bar':
+      default:
+        plot = `<c:barChart><c:barDir val="${chart.barDirection}"/><c:grouping val="clustered"/><c:varyColors val="0"/>` +
+          `${series}<c:gapWidth val="150"/>${axIds}</c:barChart>`;
+    }
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      '<c:roundedCorners val="0"/><c:chart>' +
+      `<c:title><c:tx><c:rich><a:bodyPr/><a:lstStyle/><a:p><a:r><a:t>${this.escapeXml(chart.title)}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title>` +
+      '<c:autoTitleDeleted val="0"/>' +
+      `<c:plotArea><c:layout/>${plot}${chart.type === 'pie' ? '' : this.axesXml(chart)}</c:plotArea>` +
+      `<c:legend><c:legendPos val="${chart.type === 'pie' ? 'r' : 'b'}"/><c:overlay val="0"/></c:legend>` +
+      '<c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/></c:chart></c:chartSpace>';
+  }
+
+  // Charts sit right of the data, stacked vertically (anchor: { col, row, width, height } in cells)
+  drawingXml(sheet) {
+    const colCount = sheet.rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const anchors = sheet.charts.map((chart, i) => {
+      const { col = colCount + 1, row = 1 + i * 20, width = 9, height = 18 } = chart.anchor || {};
+      const marker = (tag, c, r) => `<xdr:${tag}><xdr:col>${c}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${r}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:${tag}>`;
+      return '<xdr:twoCellAnchor>' + marker('from', col, row) + marker('to', col + width, row + height) +
+        `<xdr:graphicFrame macro=""><xdr:nvGraphicFramePr><xdr:cNvPr id="${i + 2}" name="Chart ${i + 1}"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>` +
+        '<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm><a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart">' +
+        `<c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" r:id="rId${i + 1}"/>` +
+        '</a:graphicData></a:graphic></xdr:graphicFrame><xdr:clientData/></xdr:twoCellAnchor>';
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      anchors + '</xdr:wsDr>';
+  }
+
+  escapeXml(text) {
+    return String(text)
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // --- Zip (method 0 / stored) ---------------------------------------------
+
+  zip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+      const crc = this.crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, 0, true);
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, dosTime, true);
+      entry.setUint16(14, dosDate, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+
+      chunks.push(new Uint8Array(local.buffer), name, data);
+      central.push(new Uint8Array(entry.buffer), name);
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let pos = 0;
+    parts.forEach(part => { out.set(part, pos); pos += part.length; });
+    return out;
+  }
+
+  crc32(bytes) {
+    if (!XlsxWriter.crcTable) {
+      XlsxWriter.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        XlsxWriter.crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = XlsxWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+  window.XlsxWriter = XlsxWriter;
+}
+
+// CommonJS export for the desktop app / CLI
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = XlsxWriter;
+}
@@ -17,22 +17,120 @@ async function loadAll() {
   $("defIncludeJsonLd").checked = !!cfg.includeJsonLd;
   $("defDeepScan").checked = !!cfg.deepScan;
   $("defCollectLinks").checked = !!cfg.collectLinks;
+  $("defCaptureApi").checked = !!cfg.captureApi;
+  $("defCharts").checked = !!cfg.charts;
+  $("defHydration").checked = !!cfg.hydration;
+}
+
+// Parse and validate the selectors textarea; throws with every schema problem listed
+function readSelectors() {
+  let selectors;
+  try { selectors = JSON.parse($("selectors").value || '[]'); } catch (e) { throw new Error('Selectors JSON: ' + e.message); }
+  const errors = validateExtractionSchema(selectors);
+  if (errors.length) throw new Error('Selectors: ' + errors.join('; '));
+  return selectors;
+}
+
+function showSelectorsStatus() {
+  try {
+    const n = readSelectors().length;
+    $("selectorsStatus").textContent = `${n} field${n === 1 ? '' : 's'}, schema OK`;
+    $("selectorsStatus").style.color = '';
+  } catch (e) {
+    $("selectorsStatus").textContent = e.message;
+    $("selectorsStatus").style.color = '#c62828';
+  }
 }
 
 async function saveAll() {
-  const cfg = { selectors: [] };
-  try { cfg.selectors = JSON.parse($("selectors").value || '[]'); } catch { cfg.selectors = []; }
+  // Keep what the side panel stores in the same config (tracked tables, hidden rich-cell columns)
+  const stored = (await chrome.runtime.sendMessage({ type: 'LOAD_CONFIG' }))?.config || {};
+  const cfg = { ...stored, selectors: readSelectors() };
   cfg.includeOpenGraph = $("defIncludeOpenGraph").checked;
   cfg.includeJsonLd = $("defIncludeJsonLd").checked;
   cfg.deepScan = $("defDeepScan").checked;
   cfg.collectLinks = $("defCollectLinks").checked;
+  cfg.captureApi = $("defCaptureApi").checked;
+  cfg.charts = $("defCharts").checked;
+  cfg.hydration = $("defHydration").checked;
   await chrome.runtime.sendMessage({ type: 'SAVE_CONFIG', payload: cfg });
   const be = { url: $("backendUrl").value || '', token: $("authToken").value || '' };
   await chrome.runtime.sendMessage({ type: 'SAVE_BACKEND', payload: be });
 }
 
+function formatTime(ts) {
+  return ts ? new Date(ts).toLocaleString() : 'never';
+}
+
+async function renderJobs() {
+  const res = await chrome.runtime.sendMessage({ type: 'LIST_JOBS' });
+  const jobs = res?.jobs || [];
+  const host = $("jobsList");
+  host.innerHTML = '';
+  if (!jobs.length) {
+    host.innerHTML = '<div class="muted">No scheduled jobs.</div>';
+    return;
+  }
+  for (const job of jobs) {
+    const el = document.createElement('div');
+    el.className = 'job';
+    const info = document.createElement('div');
+    info.textContent = `${job.name} — ${job.schedule} — last run: ${formatTime(job.lastRun)}${job.lastStatus ? ` (${job.lastStatus})` : ''}`;
+    const url = document.createElement('div');
+    url.className = 'muted';
+    url.textContent = job.url;
+    const run = document.createElement('button');
+    run.textContent = 'Run now';
+    run.addEventListener('click', async () => {
+      $("jobStatus").textContent = `Running ${job.name}...`;
+      const r = await chrome.runtime.sendMessage({ type: 'RUN_JOB_NOW', payload: { id: job.id } });
+      $("jobStatus").textContent = r?.ok ? `${job.name}: ${r.entry?.tableCount || 0} tables` : `Error: ${r?.error || 'run failed'}`;
+      await renderJobs();
+    });
+    const dl = document.createElement('button');
+    dl.textContent = 'Download last result';
+    dl.addEventListener('click', async () => {
+      const r = await chrome.runtime.sendMessage({ type: 'GET_JOB_RESULTS', payload: { id: job.id } });
+      const last = (r?.results || [])[0];
+      if (!last) { $("jobStatus").textContent = 'No results yet.'; return; }
+      const blob = new Blob([JSON.stringify(last, null, 2)], { type: 'application/json' });
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = `${job.id}-${last.finishedAt || Date.now()}.json`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 2000);
+    });
+    const del = document.createElement('button');
+    del.textContent = 'Delete';
+    del.addEventListener('click', async () => {
+      await chrome.runtime.sendMessage({ type: 'DELETE_JOB', payload: { id: job.id } });
+      await renderJobs();
+    });
+    el.append(info, url, run, dl, del);
+    host.appendChild(el);
+  }
+}
+
+async function addJob() {
+  const payload = {
+    name: $("jobName").value.trim(),
+    url: $("jobUrl").value.trim(),
+    schedule: $("jobSchedule").value.trim(),
+  };
+  const res = await chrome.runtime.sendMessage({ type: 'SAVE_JOB', payload });
+  if (!res?.ok) throw new Error(res?.error || 'Could not save job');
+  $("jobName").value = ''; $("jobUrl").value = ''; $("jobSchedule").value = '';
+  await renderJobs();
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
   await loadAll();
+  await renderJobs();
+  $("addJob").addEventListener('click', async () => {
+    try { await addJob(); $("jobStatus").textContent = 'Job scheduled.'; } catch (e) { $("jobStatus").textContent = 'Error: ' + e.message; }
+  });
+  showSelectorsStatus();
+  $("selectors").addEventListener('input', showSelectorsStatus);
   $("save").addEventListener('click', async () => {
     try { await saveAll(); $("status").textContent = 'Saved.'; } catch (e) { $("status").textContent = 'Error: ' + e.message; }
   });
@@ -43,6 +141,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       { name: 'market-value', selector: '.dataMarktwert, .tm-player-market-value-development .data' },
     ];
     $("selectors").value = JSON.stringify(preset, null, 2);
+    showSelectorsStatus();
     $("defCollectLinks").checked = true;
     $("defIncludeOpenGraph").checked = true;
   });
@@ -52,6 +151,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       { name: 'season', selector: 'select#season, .filter select' },
     ];
     $("selectors").value = JSON.stringify(preset, null, 2);
+    showSelectorsStatus();
     $("defIncludeJsonLd").checked = true;
   });
 });
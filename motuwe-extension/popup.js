@@ -1,5 +1,34 @@
 const STORAGE_KEYS = { config: 'motuwe:config', backend: 'motuwe:backend' };
 let LAST_RESULT = null;
+let STORE = null;
+let HISTORY = null;
+let TEMPLATES = null;
+let TRANSFORMER = null;
+let PIPELINES = null;
+// Stored version each table of the current result is compared with (set when the result arrives)
+let TABLE_BASELINES = new WeakMap();
+
+// IndexedDB-backed table history (lazy: opening the DB is not free)
+function getStore() {
+  if (!STORE && typeof StorageManager !== 'undefined') STORE = new StorageManager();
+  return STORE;
+}
+
+// js/ module suite shared with the side panel: history, templates, transformations
+function getHistory() {
+  if (!HISTORY && typeof HistoryManager !== 'undefined' && getStore()) HISTORY = new HistoryManager(getStore(), { pageUrl: LAST_RESULT?.page?.url });
+  return HISTORY;
+}
+
+function getTemplates() {
+  if (!TEMPLATES && typeof TemplateManager !== 'undefined') TEMPLATES = new TemplateManager(getStore());
+  return TEMPLATES;
+}
+
+function getTransformer() {
+  if (!TRANSFORMER && typeof DataTransformer !== 'undefined') TRANSFORMER = new DataTransformer();
+  return TRANSFORMER;
+}
 
 function $(id) { return document.getElementById(id); }
 
@@ -12,6 +41,19 @@ function readConfigFromUI({ mode = 'advanced' } = {}) {
   } catch { selectors = []; }
   const patternsTxt = get('linkPatterns')?.value || '';
   const linkPatterns = patternsTxt.split(',').map(s => s.trim()).filter(Boolean);
+  const pgNext = (get('pgNextSelector')?.value || '').trim();
+  const pgPattern = (get('pgUrlPattern')?.value || '').trim();
+  const pagination = (pgNext || pgPattern) ? {
+    nextSelector: pgNext || undefined,
+    urlPattern: pgPattern || undefined,
+    maxPages: parseInt(get('pgMaxPages')?.value, 10) || 10,
+    delayMs: parseInt(get('pgDelayMs')?.value, 10) || 0,
+  } : undefined;
+  const loadAll = get('loadAll')?.checked ? {
+    moreSelector: (get('loadMoreSelector')?.value || '').trim() || undefined,
+    maxRows: parseInt(get('loadAllMaxRows')?.value, 10) || 5000,
+    maxMs: (parseInt(get('loadAllMaxSec')?.value, 10) || 60) * 1000,
+  } : undefined;
   return {
     mode,
     selectors,
@@ -20,7 +62,12 @@ function readConfigFromUI({ mode = 'advanced' } = {}) {
     linkSelector: get('linkSelector')?.value || undefined,
     linkPatterns: linkPatterns.length ? linkPatterns : undefined,
     deepScan: !!get('deepScan')?.checked,
+    richCells: !!get('richCells')?.checked || undefined,
+    groupRows: get('groupRows')?.value || undefined,
     collectLinks: !!get('collectLinks')?.checked,
+    pagination,
+    loadAll,
+    virtualGrids: !!get('virtualGrids')?.checked || undefined,
   };
 }
 
@@ -33,6 +80,8 @@ function writeConfigToUI(cfg) {
   const jl = document.getElementById('includeJsonLd'); if (jl) jl.checked = !!cfg.includeJsonLd;
   set('linkSelector', 'value', cfg.linkSelector || '');
   set('linkPatterns', 'value', (cfg.linkPatterns || []).join(','));
+  set('collectLinks', 'checked', !!cfg.collectLinks);
+  if (Array.isArray(cfg.selectors) && cfg.selectors.length) set('followFields', 'value', JSON.stringify(cfg.selectors, null, 2));
 }
 
 async function saveConfig() {
@@ -66,7 +115,7 @@ function setLoading(on, msg = 'Working...') {
   const lm = $("loadingMsg");
   if (lm) lm.textContent = msg;
   ov.style.display = on ? 'flex' : 'none';
-  ["scrape","download","save","preview","send","openOptions","selectTable"].forEach(id => {
+  ["scrape","download","save","preview","send","openOptions","selectTable","pickField"].forEach(id => {
     const el = $(id); if (el) el.disabled = on;
   });
 }
@@ -76,14 +125,283 @@ async function previewScrape() {
   setLoading(true, 'Scraping...');
   const res = await chrome.runtime.sendMessage({ type: 'RUN_SCRAPE', payload: config });
   if (!res?.ok) throw new Error(res?.error || 'Scrape failed');
-  LAST_RESULT = res.result;
-  setOutput(res.result);
-  updatePills(res.result);
-  renderTables(res.result.tables || []);
-  $("results").style.display = 'block';
+  await showResult(res.result);
   setLoading(false);
 }
 
+// Render a scrape result and record it in the IndexedDB history
+async function showResult(result) {
+  LAST_RESULT = result;
+  try { await replayPipelines(result); } catch (e) { console.warn('Pipeline replay failed:', e?.message || e); }
+  try { await storeTableVersions(result); } catch (e) { console.warn('Table versions not stored:', e?.message || e); }
+  setOutput(result);
+  updatePills(result);
+  renderTables(result.tables || []);
+  $("results").style.display = 'block';
+  await populateTemplateOptions(result);
+  try {
+    const history = getHistory();
+    if (history) {
+      await history.setPage(result?.page?.url);
+      for (const t of (result.tables || []).slice(0, 20)) {
+        await history.recordTableScraping(tableAsMatrix(t), t.selector, { type: t.type, frameUrl: t.frameUrl });
+      }
+      await renderHistory();
+    }
+  } catch (e) {
+    console.warn('History record failed:', e?.message || e);
+  }
+}
+
+async function populateTemplateOptions(result) {
+  const sel = $("templateSelect");
+  const templates = getTemplates();
+  if (!sel || !templates) return;
+  sel.innerHTML = '<option value="">Template: none</option>';
+  let domain = '';
+  try { domain = new URL(result?.page?.url || '').hostname; } catch {}
+  const matching = domain ? await templates.findTemplatesForDomain(domain) : [];
+  const all = await templates.getAllTemplates();
+  const seen = new Set();
+  const addGroup = (label, list) => {
+    const items = list.filter((t) => !seen.has(String(t.id)));
+    if (!items.length) return;
+    const group = document.createElement('optgroup');
+    group.label = label;
+    items.forEach((t) => {
+      seen.add(String(t.id));
+      const o = document.createElement('option');
+      o.value = String(t.id);
+      o.textContent = t.name || String(t.id);
+      group.appendChild(o);
+    });
+    sel.appendChild(group);
+  };
+  addGroup(`Matches ${domain || 'page'}`, matching);
+  addGroup('All templates', all);
+
+  const presetSel = $("presetSelect");
+  const transformer = getTransformer();
+  if (presetSel && transformer && presetSel.options.length <= 1) {
+    transformer.getAvailablePresets().forEach((name) => {
+      const o = document.createElement('option');
+      o.value = name;
+      o.textContent = `Transform: ${name}`;
+      presetSel.appendChild(o);
+    });
+  }
+}
+
+// Replace a detected table's data with a processed matrix (first row = headers)
+function applyMatrixToTable(t, matrix) {
+  if (!t.originalRows) { t.originalRows = t.rows; t.originalHeaders = t.headers; }
+  const [headers = [], ...rows] = matrix;
+  t.headers = headers.map((h) => String(h ?? ''));
+  t.rows = [t.headers, ...rows];
+  t.objects = rows.map((r) => Object.fromEntries(t.headers.map((h, i) => [h || String(i), r[i] ?? ''])));
+  t.rowsCount = rows.length;
+}
+
+// The table as scraped, before any template/pipeline was applied
+function sourceMatrix(t) {
+  if (!t.originalRows) return tableAsMatrix(t);
+  return tableAsMatrix({ headers: t.originalHeaders, rows: t.originalRows });
+}
+
+function restoreTable(t) {
+  if (!t.originalRows) return;
+  applyMatrixToTable(t, sourceMatrix(t));
+  delete t.originalRows;
+  delete t.originalHeaders;
+  delete t.pipeline;
+}
+
+function resultDomain(result) {
+  try { return new URL(result?.page?.url || '').hostname; } catch { return ''; }
+}
+
+// Saved per-domain pipelines (cached for the current result's domain)
+async function loadPipelines(domain) {
+  const store = getStore();
+  if (!store || !domain) return [];
+  if (PIPELINES?.domain !== domain) PIPELINES = { domain, list: await store.getPipelines(domain) };
+  return PIPELINES.list;
+}
+
+async function savePipelines(domain, list) {
+  const store = getStore();
+  if (!store || !domain) throw new Error('Storage unavailable');
+  await store.savePipelines(domain, list);
+  PIPELINES = { domain, list };
+}
+
+// Re-run the domain's saved pipelines on freshly scraped tables
+async function replayPipelines(result) {
+  const tables = Array.isArray(result?.tables) ? result.tables : [];
+  const pipelines = await loadPipelines(resultDomain(result));
+  if (!pipelines.length || !tables.length || typeof PipelineEditor === 'undefined') return;
+  const editor = new PipelineEditor(getTransformer());
+  for (const t of tables) {
+    const source = tableAsMatrix(t);
+    const pipeline = editor.matchPipeline(pipelines, t, source[0]);
+    if (!pipeline?.steps?.length) continue;
+    const out = await getTransformer().transformDataWithSteps(source, pipeline.steps);
+    if (out.failed) { t.pipeline = { steps: pipeline.steps, replayed: true, error: out.steps.find((x) => x.error)?.error }; continue; }
+    applyMatrixToTable(t, out.data);
+    t.pipeline = { steps: pipeline.steps, replayed: true };
+  }
+}
+
+function togglePipelinePanel(card, t) {
+  let panel = card.querySelector('.pipeline-wrap');
+  if (panel) { panel.remove(); return; }
+  panel = document.createElement('div');
+  panel.className = 'pipeline-wrap';
+  card.appendChild(panel);
+  const domain = resultDomain(LAST_RESULT);
+  const source = sourceMatrix(t);
+  const editor = new PipelineEditor(getTransformer());
+  editor.render(panel, {
+    source,
+    steps: t.pipeline?.steps || [],
+    onApply: async (matrix, steps) => {
+      applyMatrixToTable(t, matrix);
+      t.pipeline = { steps };
+      renderTables(LAST_RESULT?.tables || []);
+    },
+    onSave: async (steps) => {
+      const list = await loadPipelines(domain);
+      const next = steps.length ? editor.upsertPipeline(list, t, source[0], steps) : editor.removePipeline(list, t, source[0]);
+      await savePipelines(domain, next);
+      const history = getHistory();
+      if (history) await history.recordAction('pipeline_saved', { domain, selector: t.selector, steps: steps.length });
+    },
+    onReset: async () => {
+      restoreTable(t);
+      renderTables(LAST_RESULT?.tables || []);
+    }
+  }).catch((e) => { panel.textContent = 'Pipeline error: ' + e.message; });
+}
+
+async function applyTemplateToTables(templateId) {
+  const templates = getTemplates();
+  const tables = Array.isArray(LAST_RESULT?.tables) ? LAST_RESULT.tables : [];
+  if (!templates || !tables.length) return;
+  for (const t of tables) {
+    const res = await templates.applyTemplateToData(templateId, tableAsMatrix(t));
+    applyMatrixToTable(t, res.processedData);
+    t.template = { id: res.templateId, name: res.templateName, validation: res.validation };
+  }
+  const history = getHistory();
+  if (history) await history.recordTemplateUsage(templateId, tables[0]?.template?.name || String(templateId), { success: true, tables });
+  renderTables(tables);
+}
+
+async function applyPresetToTables(presetName) {
+  const transformer = getTransformer();
+  const tables = Array.isArray(LAST_RESULT?.tables) ? LAST_RESULT.tables : [];
+  if (!transformer || !tables.length) return;
+  for (const t of tables) {
+    applyMatrixToTable(t, await transformer.applyPreset(tableAsMatrix(t), presetName));
+  }
+  const history = getHistory();
+  if (history) await history.recordAction('preset_applied', { preset: presetName, tables: tables.length });
+  renderTables(tables);
+}
+
+// Header levels of a multi-row header, unless a template/pipeline has changed the columns since
+function scrapedHeaderRows(t) {
+  if (!Array.isArray(t.headerRows)) return undefined;
+  return !t.originalHeaders || JSON.stringify(t.originalHeaders) === JSON.stringify(t.headers) ? t.headerRows : undefined;
+}
+
+async function exportAllTablesXlsx() {
+  const tables = Array.isArray(LAST_RESULT?.tables) ? LAST_RESULT.tables : [];
+  if (!tables.length) throw new Error('No tables to export');
+  const sorted = [...tables].sort((a, b) => (b.score || 0) - (a.score || 0));
+  // XlsxWriter sanitizes and de-duplicates sheet names
+  const sheets = sorted.slice(0, 50).map((t, i) => ({
+    name: `${i + 1} ${t.type || 'table'}`,
+    data: tableAsMatrix(t),
+    options: { includeHeaders: true, autoWidth: true, headerRows: scrapedHeaderRows(t) }
+  }));
+  const filename = `${safeHostFromResult(LAST_RESULT)}-tables.xlsx`;
+  await new ExcelExporter().exportMultipleSheets(sheets, filename);
+  const history = getHistory();
+  if (history) await history.recordExport(sheets, 'xlsx', filename);
+}
+
+async function renderHistory() {
+  const host = $("historyList");
+  const history = getHistory();
+  if (!host || !history) return;
+  const actions = await history.getActionHistory({ limit: 15 });
+  if (!actions.length) { host.textContent = 'No history yet.'; return; }
+  host.innerHTML = '';
+  actions.forEach((a) => {
+    const line = document.createElement('div');
+    const d = a.data || {};
+    const detail = d.rows !== undefined ? `${d.rows}×${d.cols}` : (d.format || d.preset || d.templateName || '');
+    line.textContent = `${new Date(a.timestamp).toLocaleTimeString()} · ${a.type} ${detail} · ${shortUrl(a.url || '')}`;
+    host.appendChild(line);
+  });
+}
+
+// ---------- Follow links: detail-page crawl run by the background worker ----------
+let FOLLOW_CRAWL_ID = null;
+
+function readFollowFields() {
+  let fields;
+  try { fields = JSON.parse(($("followFields")?.value || '').trim() || '[]'); } catch (e) { throw new Error('Fields JSON: ' + e.message); }
+  const errors = validateExtractionSchema(fields);
+  if (errors.length) throw new Error('Fields: ' + errors.join('; '));
+  if (!fields.length) throw new Error('Add at least one field: [{ "name": ..., "selector": ... }]');
+  return fields;
+}
+
+function renderFollowStatus(crawl) {
+  const el = $("followStatus");
+  if (!el || !crawl) return;
+  const failed = crawl.failed ? `, ${crawl.failed} failed` : '';
+  el.textContent = `${crawl.done}/${crawl.total} pages${failed} (${crawl.status})`;
+  $("followCancel").disabled = crawl.status !== 'running';
+  $("followResume").disabled = crawl.status === 'running' || crawl.status === 'done' || crawl.done >= crawl.total;
+}
+
+async function startFollowLinks() {
+  const links = Array.isArray(LAST_RESULT?.links) ? LAST_RESULT.links : [];
+  if (!links.length) throw new Error('No links collected; enable "Collect links" and scrape first');
+  const payload = {
+    links,
+    fields: readFollowFields(),
+    concurrency: parseInt($("followConcurrency")?.value, 10) || 2,
+    delayMs: parseInt($("followDelayMs")?.value, 10) || 0,
+    sourceUrl: LAST_RESULT?.page?.url,
+    name: LAST_RESULT?.page?.title,
+  };
+  const res = await chrome.runtime.sendMessage({ type: 'START_LINK_CRAWL', payload });
+  if (!res?.ok) throw new Error(res?.error || 'Could not start crawl');
+  FOLLOW_CRAWL_ID = res.crawl.id;
+  renderFollowStatus(res.crawl);
+}
+
+// Add (or refresh) the crawl's table in the current result
+async function showFollowTable(id) {
+  const res = await chrome.runtime.sendMessage({ type: 'GET_LINK_CRAWL', payload: { id } });
+  if (!res?.ok) throw new Error(res?.error || 'Crawl not found');
+  renderFollowStatus(res.crawl);
+  if (!LAST_RESULT) {
+    LAST_RESULT = { page: { url: res.crawl.sourceUrl || 'crawl', title: res.crawl.name || 'Follow links' }, timestamp: new Date().toISOString(), tables: [] };
+  }
+  LAST_RESULT.tables = (LAST_RESULT.tables || []).filter((t) => t.crawlId !== id);
+  // Score above detected tables so the crawl result is listed (and exported as "best") first
+  const top = LAST_RESULT.tables.reduce((m, t) => Math.max(m, t.score || 0), 0);
+  LAST_RESULT.tables.unshift({ ...res.table, score: top + 1 });
+  updatePills(LAST_RESULT);
+  renderTables(LAST_RESULT.tables);
+  $("results").style.display = 'block';
+}
+
 function copyToClipboard(text) {
   try { navigator.clipboard.writeText(text); } catch (_) {}
 }
@@ -132,7 +450,12 @@ function renderTables(tables = []) {
     const src = t.frameUrl ? ` <span class="muted">@ ${shortUrl(t.frameUrl)}</span>` : '';
     const cols = Array.isArray(t.headers) && t.headers.length ? t.headers.length : (Array.isArray(t.rows) && t.rows[0] ? t.rows[0].length : 0);
     const rcount = Array.isArray(t.rows) ? t.rows.length : 0;
-    title.innerHTML = `<div style="flex:1;"><strong>#${idx+1}</strong> <span class="muted">${t.type || 'table'}</span> <span class="muted">${(t.selector || '').slice(0,80)}</span>${src}</div><div class="table-actions" style="flex:1;"><span class="pill">${rcount}×${cols}</span><button data-idx="${idx}" class="open-on-page">Open</button><button data-idx="${idx}" class="download-csv">CSV</button></div>`;
+    const pagesInfo = Array.isArray(t.pages) && t.pages.length > 1 ? ` <span class="pill">${t.pages.length} pages</span>` : '';
+    const pipelineInfo = t.pipeline?.steps?.length ? ` <span class="pill" title="${t.pipeline.error ? 'Saved pipeline failed: ' + t.pipeline.error.replace(/"/g, "'") : 'Transformation pipeline applied'}">${t.pipeline.error ? '⚠ ' : ''}${t.pipeline.steps.length} steps${t.pipeline.replayed ? ' (saved)' : ''}</span>` : '';
+    const groupsInfo = t.rowGroups ? ` <span class="pill" title="${t.rowGroups.groups} group rows filled into a column, ${t.rowGroups.totals} totals rows ${t.rowGroups.mode === 'flag' ? 'flagged' : 'removed'}">${t.rowGroups.groups} groups</span>` : '';
+    const healedInfo = t.healed ? ` <span class="pill" title="Selector healed from ${String(t.healed.from).replace(/"/g, "'")} (match ${t.healed.score})">healed</span>` : '';
+    const trackBtn = t.selector && t.fingerprint ? `<button data-idx="${idx}" class="track-table" title="Find this table again on every scrape, even after layout changes">${t.tracked ? 'Untrack' : 'Track'}</button>` : '';
+    title.innerHTML = `<div style="flex:1;"><strong>#${idx+1}</strong> <span class="muted">${t.type || 'table'}</span> <span class="muted">${(t.selector || [t.source, t.path].filter(Boolean).join(' ')).slice(0,80)}</span>${src}</div><div class="table-actions" style="flex:1;"><span class="pill">${rcount}×${cols}</span>${pagesInfo}${pipelineInfo}${groupsInfo}${healedInfo}${t.selector ? `<button data-idx="${idx}" class="open-on-page">Open</button>` : ''}${trackBtn}<button data-idx="${idx}" class="download-csv">CSV</button><button data-idx="${idx}" class="chart-xlsx" title="XLSX with a chart of this table">Chart</button><button data-idx="${idx}" class="diff-table" title="Compare with the previous scrape of this table">Diff</button><button data-idx="${idx}" class="pipeline-table" title="Build a step-by-step transformation pipeline">Pipeline</button>${t.richColumns?.length ? `<button data-idx="${idx}" class="cells-table" title="Choose the link, image, tooltip and data-* columns">Cells</button>` : ''}</div>`;
     const wrap = document.createElement('div');
     wrap.className = 'table-wrap';
     const table = document.createElement('table');
@@ -177,6 +500,36 @@ function renderTables(tables = []) {
       downloadFile(`${host}-table-${i+1}.csv`, csv, 'text/csv;charset=utf-8;', { bom: true });
     });
   });
+  hostEl.querySelectorAll('.chart-xlsx').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        const i = Number(btn.getAttribute('data-idx'));
+        const host = safeHostFromResult(LAST_RESULT);
+        await new ExcelExporter().exportWithChart(tableAsMatrix(sorted[i]), { sheetName: `Table ${i + 1}` }, `${host}-table-${i+1}-chart.xlsx`);
+      } catch (e) { setOutput('Chart error: ' + e.message); }
+    });
+  });
+  hostEl.querySelectorAll('.diff-table').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const i = Number(btn.getAttribute('data-idx'));
+      const card = btn.closest('.table-meta')?.parentElement;
+      if (card) toggleDiffPanel(card, sorted[i], i);
+    });
+  });
+  hostEl.querySelectorAll('.pipeline-table').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const i = Number(btn.getAttribute('data-idx'));
+      const card = btn.closest('.table-meta')?.parentElement;
+      if (card) togglePipelinePanel(card, sorted[i]);
+    });
+  });
+  hostEl.querySelectorAll('.cells-table').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const i = Number(btn.getAttribute('data-idx'));
+      const card = btn.closest('.table-meta')?.parentElement;
+      if (card) toggleCellsPanel(card, sorted[i]);
+    });
+  });
   hostEl.querySelectorAll('.open-on-page').forEach(btn => {
     btn.addEventListener('click', async () => {
       try {
@@ -189,7 +542,8 @@ function renderTables(tables = []) {
         if (nwrap && tableWrap) {
           // fetch snapshot lazily
           if (!nwrap.querySelector('iframe')) {
-            const res = await chrome.runtime.sendMessage({ type: 'GET_TABLE_SNAPSHOT', payload: { selector: t.selector, frameId: t.frameId } });
+            const res = await chrome.runtime.sendMessage({ type: 'GET_TABLE_SNAPSHOT', payload: { selector: t.selector, fingerprint: t.fingerprint, frameId: t.frameId } });
+            applyHealedSelector(t, res);
             if (res?.ok && res.html) {
               const iframe = document.createElement('iframe');
               iframe.setAttribute('sandbox', 'allow-same-origin');
@@ -202,12 +556,211 @@ function renderTables(tables = []) {
           nwrap.style.display = 'block';
         }
         // Also scroll/flash on page
-        await chrome.runtime.sendMessage({ type: 'HIGHLIGHT_TABLE', payload: { selector: t.selector, frameId: t.frameId } });
+        applyHealedSelector(t, await chrome.runtime.sendMessage({ type: 'HIGHLIGHT_TABLE', payload: { selector: t.selector, fingerprint: t.fingerprint, frameId: t.frameId } }));
       } catch (e) {
         setOutput('Open error: ' + e.message);
       }
     });
   });
+  hostEl.querySelectorAll('.track-table').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        const t = sorted[Number(btn.getAttribute('data-idx'))];
+        const name = t.tracked || `${safeHostFromResult(LAST_RESULT)} ${t.type || 'table'} (${(t.headers || []).slice(0, 3).join(', ')})`;
+        const res = await chrome.runtime.sendMessage({ type: 'TRACK_TABLE', payload: { name, url: t.frameUrl || LAST_RESULT?.page?.url, selector: t.selector, fingerprint: t.fingerprint } });
+        if (!res?.ok) throw new Error(res?.error || 'Track failed');
+        t.tracked = res.tracked ? name : undefined;
+        btn.textContent = res.tracked ? 'Untrack' : 'Track';
+        setOutput(res.tracked ? `Tracking "${name}": it is relocated by its fingerprint on every scrape.` : `Stopped tracking "${name}".`);
+      } catch (e) {
+        setOutput('Track error: ' + e.message);
+      }
+    });
+  });
+}
+
+// The content script relocated the table by its fingerprint: keep using the new selector
+function applyHealedSelector(t, res) {
+  if (!res?.healed) return;
+  t.selector = res.healed.to;
+  t.healed = res.healed;
+  setOutput(`Table selector healed (match ${res.healed.score}): ${res.healed.from} -> ${res.healed.to}`);
+}
+
+// [headers, ...dataRows] without the header row that tableToMatrix keeps inside rows
+function tableAsMatrix(t) {
+  const rows = Array.isArray(t?.rows) ? t.rows : [];
+  const headers = Array.isArray(t?.headers) && t.headers.length ? t.headers : (rows[0] || []).map((_, i) => `Col ${i + 1}`);
+  const headerKey = JSON.stringify(headers);
+  return [headers, ...rows.filter((r) => JSON.stringify(r) !== headerKey)];
+}
+
+// Store this scrape's version of a table; returns the version stored before it (or null)
+async function storeTableVersion(t) {
+  const store = getStore();
+  if (!store) throw new Error('Storage unavailable');
+  const url = LAST_RESULT?.page?.url || '';
+  const matrix = tableAsMatrix(t);
+  const key = tableIdentity(t);
+  // A healed table was stored under its old selector
+  const prev = (await store.getLatestTable(url, key)) || (t.healed?.from ? await store.getLatestTable(url, tableIdentity({ ...t, selector: t.healed.from })) : null);
+  if (!prev || prev.hash !== store.generateDataHash(matrix)) {
+    await store.saveTable(matrix, { url, title: LAST_RESULT?.page?.title || '', selector: t.selector, key });
+  }
+  return prev;
+}
+
+// Every scrape stores its tables, so Diff always has the previous scrape to compare with
+async function storeTableVersions(result) {
+  TABLE_BASELINES = new WeakMap();
+  if (!getStore()) return;
+  for (const t of (result?.tables || []).slice(0, 20)) {
+    TABLE_BASELINES.set(t, await storeTableVersion(t));
+  }
+}
+
+// Compare against the version stored before this scrape of url + table identity
+async function diffWithPrevious(t, keyColumn) {
+  const prev = TABLE_BASELINES.has(t) ? TABLE_BASELINES.get(t) : await storeTableVersion(t);
+  if (!prev) return null;
+  const diff = new TableDiff().diff(prev.data, tableAsMatrix(t), { keyColumn });
+  diff.previousTimestamp = prev.timestamp;
+  return diff;
+}
+
+function toggleDiffPanel(card, t, idx) {
+  let panel = card.querySelector('.diff-wrap');
+  if (panel) { panel.remove(); return; }
+  panel = document.createElement('div');
+  panel.className = 'diff-wrap';
+  const headers = tableAsMatrix(t)[0];
+  const controls = document.createElement('div');
+  controls.className = 'row';
+  const keySel = document.createElement('select');
+  keySel.title = 'Key column used to match rows between scrapes';
+  headers.forEach((h, i) => { const o = document.createElement('option'); o.value = String(i); o.textContent = `Key: ${h || `Col ${i + 1}`}`; keySel.appendChild(o); });
+  const run = document.createElement('button');
+  run.textContent = 'Compare';
+  const out = document.createElement('div');
+  controls.append(keySel, run);
+  panel.append(controls, out);
+  card.appendChild(panel);
+
+  run.addEventListener('click', async () => {
+    out.innerHTML = '<div class="muted">Comparing...</div>';
+    try {
+      const keyIndex = Number(keySel.value);
+      const diff = await diffWithPrevious(t, headers[keyIndex] || keyIndex);
+      renderDiff(out, diff, idx);
+    } catch (e) {
+      out.innerHTML = '';
+      const err = document.createElement('div'); err.className = 'muted'; err.textContent = 'Diff error: ' + e.message;
+      out.appendChild(err);
+    }
+  });
+}
+
+// Rich-cell columns ("Player URL", "Nat. Image"): unchecking one drops it now and on later
+// scrapes; checking it again brings it back with the next scrape
+function toggleCellsPanel(card, t) {
+  let panel = card.querySelector('.cells-wrap');
+  if (panel) { panel.remove(); return; }
+  panel = document.createElement('div');
+  panel.className = 'cells-wrap';
+  const note = document.createElement('div');
+  note.className = 'muted';
+  note.textContent = 'Columns added from links, images, tooltips and data-* attributes:';
+  panel.appendChild(note);
+  t.richColumns.forEach((rc) => {
+    const label = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.style.width = 'auto';
+    box.checked = !rc.hidden;
+    label.append(box, ` ${rc.name}`);
+    box.addEventListener('change', async () => {
+      try {
+        const res = await chrome.runtime.sendMessage({ type: 'SET_RICH_COLUMN', payload: { name: rc.name, hidden: !box.checked } });
+        if (!res?.ok) throw new Error(res?.error || 'Save failed');
+        rc.hidden = !box.checked;
+        if (rc.hidden) {
+          dropTableColumn(t, rc.name);
+          renderTables(LAST_RESULT?.tables || []);
+        }
+        setOutput(rc.hidden ? `"${rc.name}" removed; later scrapes leave it out.` : `"${rc.name}" comes back with the next scrape.`);
+      } catch (e) {
+        box.checked = !box.checked;
+        setOutput('Column error: ' + e.message);
+      }
+    });
+    panel.appendChild(label);
+  });
+  card.appendChild(panel);
+}
+
+// Remove a column by header name, from the shown data and from the scraped original
+function dropTableColumn(t, name) {
+  const without = (headers, rows) => {
+    const i = (headers || []).indexOf(name);
+    return i < 0 ? null : { i, headers: headers.filter((_, c) => c !== i), rows: rows.map((r) => r.filter((_, c) => c !== i)) };
+  };
+  const orig = t.originalRows ? without(t.originalHeaders, t.originalRows) : null;
+  if (orig) { t.originalHeaders = orig.headers; t.originalRows = orig.rows; }
+  const cur = without(t.headers, t.rows || []);
+  if (!cur) return;
+  t.headers = cur.headers;
+  t.rows = cur.rows;
+  t.objects = (t.objects || []).map(({ [name]: _, ...rest }) => rest);
+  t.colsCount = t.headers.length;
+  if (Array.isArray(t.headerRows)) t.headerRows = t.headerRows.map((level) => level.filter((_, c) => c !== cur.i));
+}
+
+function renderDiff(out, diff, idx) {
+  out.innerHTML = '';
+  if (!diff) {
+    out.innerHTML = '<div class="muted">No previous version stored yet. This scrape was saved as the baseline.</div>';
+    return;
+  }
+  const s = diff.summary;
+  const head = document.createElement('div');
+  head.className = 'row';
+  head.style.marginTop = '8px';
+  head.innerHTML = `<span class="pill diff-added">+${s.added} added</span><span class="pill diff-removed">−${s.removed} removed</span><span class="pill diff-changed">~${s.changed} changed</span><span class="pill">${s.unchanged} same</span>`;
+  const since = document.createElement('div');
+  since.className = 'muted';
+  since.textContent = `Compared with scrape from ${new Date(diff.previousTimestamp || Date.now()).toLocaleString()}`;
+  const actions = document.createElement('div');
+  actions.className = 'table-actions';
+  const jsonBtn = document.createElement('button'); jsonBtn.textContent = 'Diff JSON';
+  const csvBtn = document.createElement('button'); csvBtn.textContent = 'Diff CSV';
+  actions.append(jsonBtn, csvBtn);
+  const host = safeHostFromResult(LAST_RESULT);
+  const differ = new TableDiff();
+  jsonBtn.addEventListener('click', () => downloadFile(`${host}-table-${idx+1}-diff.json`, differ.toJSON(diff), 'application/json'));
+  csvBtn.addEventListener('click', () => downloadFile(`${host}-table-${idx+1}-diff.csv`, differ.toCSV(diff, chooseCsvDelimiter()), 'text/csv;charset=utf-8;', { bom: true }));
+  out.append(head, since, actions);
+
+  if (!diff.hasChanges) return;
+  const rows = differ.toRows(diff);
+  const wrap = document.createElement('div');
+  wrap.className = 'table-wrap';
+  wrap.style.marginTop = '6px';
+  const table = document.createElement('table');
+  table.className = 'table';
+  const thead = document.createElement('thead');
+  const htr = document.createElement('tr');
+  rows[0].forEach((h) => { const th = document.createElement('th'); th.textContent = h; htr.appendChild(th); });
+  thead.appendChild(htr);
+  const tbody = document.createElement('tbody');
+  rows.slice(1, 201).forEach((r) => {
+    const tr = document.createElement('tr');
+    tr.className = `diff-${r[0]}`;
+    r.forEach((c) => { const td = document.createElement('td'); td.textContent = String(c ?? ''); tr.appendChild(td); });
+    tbody.appendChild(tr);
+  });
+  table.append(thead, tbody);
+  wrap.appendChild(table);
+  out.appendChild(wrap);
 }
 
 function shortUrl(u) {
@@ -262,11 +815,7 @@ function safeHostFromResult(res) {
     $("scrape").addEventListener('click', async () => {
       try {
         const result = await runAutoScrape();
-        LAST_RESULT = result;
-        setOutput(result);
-        updatePills(result);
-        renderTables(result.tables || []);
-        $("results").style.display = 'block';
+        await showResult(result);
       } catch (e) { setOutput('Error: ' + e.message); }
       finally { setLoading(false); }
     });
@@ -279,6 +828,15 @@ function safeHostFromResult(res) {
         setOutput('Selection error: ' + e.message);
       }
     });
+    $("pickField").addEventListener('click', async () => {
+      try {
+        const r = await chrome.runtime.sendMessage({ type: 'START_FIELD_PICK' });
+        if (!r?.ok) throw new Error(r?.error || 'Could not start the field picker');
+        setOutput('Field picker started. Click a value on the page, name it and save.');
+      } catch (e) {
+        setOutput('Field picker error: ' + e.message);
+      }
+    });
 
     // Note: side panel is default on action click; no need for an explicit button here
     
@@ -309,6 +867,33 @@ function safeHostFromResult(res) {
         });
       }
 
+    const xlsxBtn = document.getElementById('downloadXlsx');
+    if (xlsxBtn) {
+      xlsxBtn.addEventListener('click', async () => {
+        try { await exportAllTablesXlsx(); } catch (e) { setOutput('XLSX error: ' + e.message); }
+      });
+    }
+    $("templateSelect")?.addEventListener('change', async (e) => {
+      const id = e.target.value;
+      if (!id) return;
+      try {
+        setLoading(true, 'Applying template...');
+        // Built-in template ids are strings, stored ones are numeric keys
+        await applyTemplateToTables(/^\d+$/.test(id) ? Number(id) : id);
+      } catch (err) { setOutput('Template error: ' + err.message); }
+      finally { setLoading(false); }
+    });
+    $("presetSelect")?.addEventListener('change', async (e) => {
+      const name = e.target.value;
+      if (!name) return;
+      try {
+        setLoading(true, 'Transforming...');
+        await applyPresetToTables(name);
+      } catch (err) { setOutput('Transform error: ' + err.message); }
+      finally { setLoading(false); }
+    });
+    try { await renderHistory(); } catch {}
+
     const be = await loadBackend();
     const hasBackend = !!(be && be.url);
     $("send").style.display = hasBackend ? 'inline-block' : 'none';
@@ -328,6 +913,25 @@ function safeHostFromResult(res) {
 
     $("openOptions").addEventListener('click', () => chrome.runtime.openOptionsPage());
 
+    $("followStart").addEventListener('click', async () => {
+      try { await startFollowLinks(); } catch (e) { $("followStatus").textContent = 'Error: ' + e.message; }
+    });
+    $("followCancel").addEventListener('click', async () => {
+      if (FOLLOW_CRAWL_ID) await chrome.runtime.sendMessage({ type: 'CANCEL_LINK_CRAWL', payload: { id: FOLLOW_CRAWL_ID } });
+    });
+    $("followResume").addEventListener('click', async () => {
+      try {
+        const res = await chrome.runtime.sendMessage({ type: 'RESUME_LINK_CRAWL', payload: { id: FOLLOW_CRAWL_ID } });
+        if (!res?.ok) throw new Error(res?.error || 'Could not resume crawl');
+      } catch (e) { $("followStatus").textContent = 'Error: ' + e.message; }
+    });
+    // Most recent crawl (it may still be running, or was interrupted and can be resumed)
+    try {
+      const r = await chrome.runtime.sendMessage({ type: 'LIST_LINK_CRAWLS' });
+      const latest = r?.crawls?.[0];
+      if (latest) { FOLLOW_CRAWL_ID = latest.id; renderFollowStatus(latest); }
+    } catch {}
+
     // If a selection was made while the popup was closed, incorporate it
     try {
       const r = await chrome.runtime.sendMessage({ type: 'GET_LAST_SELECTION', payload: { consume: true } });
@@ -347,6 +951,26 @@ function safeHostFromResult(res) {
 
     // Zoom slider removed; previews render at fixed compact scale
 
+    // Pagination/long-running scrape progress from the background worker
+    chrome.runtime.onMessage.addListener((msg) => {
+      if (msg && msg.type === 'SCRAPE_PROGRESS') {
+        const p = msg.payload || {};
+        const lm = $("loadingMsg");
+        if (lm && p.phase === 'pagination') lm.textContent = `Scraping page ${p.page} of up to ${p.maxPages}...`;
+        if (lm && p.phase === 'virtual-grid') lm.textContent = `Capturing grid rows... ${p.rows} rows`;
+        if (lm && p.phase === 'load-all') lm.textContent = `Loading more rows... ${p.rows} rows (${Math.round(p.elapsedMs / 1000)}s)`;
+      }
+      if (msg && msg.type === 'FIELD_SAVED') {
+        const p = msg.payload || {};
+        if (Array.isArray(p.selectors)) $("followFields").value = JSON.stringify(p.selectors, null, 2);
+        setOutput(`Saved field "${p.field?.name}" (${p.count} matches). ${p.selectors?.length || 0} fields are extracted on the next scrape.`);
+      }
+      if (msg && msg.type === 'LINK_CRAWL_PROGRESS' && msg.payload?.id === FOLLOW_CRAWL_ID) {
+        renderFollowStatus(msg.payload);
+        if (msg.payload.status !== 'running') showFollowTable(msg.payload.id).catch(() => {});
+      }
+    });
+
     // If side panel is open, listen for selection ready to live-update
     try {
       chrome.runtime.onMessage.addListener(async (msg) => {
@@ -0,0 +1,150 @@
+// JavaScript ile oluşturulan sayfalar için: URL'yi gizli bir BrowserWindow'da aç,
+// ağ trafiği durulana kadar bekle ve eklentinin extractDisplayTables tespitini çalıştır
+const { BrowserWindow, session } = require('electron');
+const path = require('path');
+const fs = require('fs').promises;
+const { REQUEST_HEADERS } = require('./scraper');
+
+const PARTITION = 'motuwe-render';
+const EXTENSION_DIR = path.join(__dirname, 'motuwe-extension');
+
+// Bekleyen istek sayısı (webContents başına); yalnızca render oturumunda izlenir
+const inflight = new Map();
+let trackingInstalled = false;
+
+function installRequestTracking() {
+    if (trackingInstalled) return;
+    trackingInstalled = true;
+    const ses = session.fromPartition(PARTITION);
+    const change = (details, delta) => {
+        if (!details.webContentsId) return;
+        const count = (inflight.get(details.webContentsId) || 0) + delta;
+        inflight.set(details.webContentsId, Math.max(0, count));
+    };
+    ses.webRequest.onBeforeRequest((details, callback) => {
+        change(details, 1);
+        callback({});
+    });
+    // Yönlendirmede aynı istek için onBeforeRequest yeniden tetiklenir
+    ses.webRequest.onBeforeRedirect((details) => change(details, -1));
+    ses.webRequest.onCompleted((details) => change(details, -1));
+    ses.webRequest.onErrorOccurred((details) => change(details, -1));
+}
+
+// Ağ boşta: quietMs boyunca bekleyen istek yok (en fazla timeoutMs)
+function waitForNetworkIdle(webContentsId, { quietMs = 800, timeoutMs = 15000 } = {}) {
+    return new Promise((resolve) => {
+        const started = Date.now();
+        let quietSince = Date.now();
+        const timer = setInterval(() => {
+            if ((inflight.get(webContentsId) || 0) > 0) quietSince = Date.now();
+            const now = Date.now();
+            if (now - quietSince >= quietMs || now - started >= timeoutMs) {
+                clearInterval(timer);
+                resolve();
+            }
+        }, 100);
+    });
+}
+
+async function loadDetectionScript() {
+    // Eklentinin enjekte ettiği dosyalar, aynı sırayla
+    const files = [['js', 'table-grid.js'], ['js', 'json-tables.js'], ['js', 'extraction-schema.js'], ['content.js']];
+    const sources = await Promise.all(files.map(parts => fs.readFile(path.join(EXTENSION_DIR, ...parts), 'utf8')));
+    // content.js chrome.runtime dinleyicisini bu bayrak varken kurmaz.
+    // Dosyalar sayfanın ana dünyasında çalışır: üst düzey adlar (getText, cssPath...) sayfanın
+    // kendi global adlarıyla çakışmasın diye hepsi tek bir fonksiyon kapsamına sarılır
+    return `(function () {\nwindow.__motuweMsgHooked = true;\n${sources.join('\n')}\nreturn (${collectTables.toString()})();\n})();`;
+}
+
+// Sayfa içinde çalışır (toString ile enjekte edilir)
+function collectTables() {
+    /* global waitForIdle, extractDisplayTables, deepQuerySelector */
+    const titleFor = (selector) => {
+        let el = null;
+        // Shadow DOM tabloları "host >>> iç yol" seçicisiyle gelir
+        try { el = selector ? deepQuerySelector(selector) : null; } catch (e) { el = null; }
+        if (!el) return '';
+        const caption = el.querySelector && el.querySelector('caption');
+        if (caption && caption.textContent.trim()) return caption.textContent.trim();
+        for (let node = el; node && node !== document.body; node = node.parentElement) {
+            for (let prev = node.previousElementSibling; prev; prev = prev.previousElementSibling) {
+                if (/^H[1-6]$/.test(prev.tagName)) return prev.textContent.trim();
+            }
+        }
+        return '';
+    };
+    return (async () => {
+        await waitForIdle({});
+        return extractDisplayTables().map((t) => ({
+            type: t.type,
+            selector: t.selector || '',
+            title: titleFor(t.selector),
+            headers: t.headers || [],
+            rows: t.rows || [],
+            score: t.score || 0
+        }));
+    })();
+}
+
+// Eklenti tablosunu masaüstü matrisine çevir (başlık satırı ilk satır)
+function toMatrix(table) {
+    const headers = table.headers.map(h => String(h ?? ''));
+    const rows = table.rows.map(row => row.map(cell => String(cell ?? '')));
+    if (headers.length && JSON.stringify(rows[0]) !== JSON.stringify(headers) && !rows.some(row => JSON.stringify(row) === JSON.stringify(headers))) {
+        return [headers, ...rows];
+    }
+    return rows;
+}
+
+async function renderTables(url, options = {}) {
+    const { timeoutMs = 30000, quietMs = 800 } = options;
+    installRequestTracking();
+
+    const win = new BrowserWindow({
+        show: false,
+        width: 1366,
+        height: 900,
+        webPreferences: {
+            partition: PARTITION,
+            contextIsolation: true,
+            nodeIntegration: false,
+            sandbox: true
+        }
+    });
+    const id = win.webContents.id;
+
+    let loadTimer;
+    try {
+        const loaded = win.loadURL(url, { userAgent: REQUEST_HEADERS['User-Agent'] });
+        await Promise.race([
+            loaded,
+            new Promise((_, reject) => { loadTimer = setTimeout(() => reject(new Error('Page load timed out')), timeoutMs); })
+        ]);
+        clearTimeout(loadTimer);
+        await waitForNetworkIdle(id, { quietMs, timeoutMs: Math.max(1000, timeoutMs / 2) });
+
+        const tables = await win.webContents.executeJavaScript(await loadDetectionScript(), true);
+        return tables
+            .map((table, index) => {
+                const data = toMatrix(table);
+                return {
+                    index,
+                    type: table.type,
+                    title: table.title || `Tablo ${index + 1}`,
+                    selector: table.selector,
+                    headers: table.headers,
+                    score: table.score,
+                    data,
+                    totalRows: data.length
+                };
+            })
+            .filter(table => table.data.length > 0 && table.data[0].length > 0);
+    } finally {
+        clearTimeout(loadTimer);
+        inflight.delete(id);
+        if (!win.isDestroyed()) win.destroy();
+    }
+}
+
+module.exports = { renderTables, waitForNetworkIdle };
@@ -0,0 +1,198 @@
+// Tablo tespiti ve ayrıştırma: Electron (main.js) ve motuwe CLI ortak kullanır
+const axios = require('axios');
+const cheerio = require('cheerio');
+const fs = require('fs').promises;
+const { normalizeGridText, buildTableGrid } = require('./motuwe-extension/js/table-grid');
+
+const REQUEST_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.5'
+};
+
+function isUrl(source) {
+    return /^https?:\/\//i.test(String(source || ''));
+}
+
+async function fetchHtml(url) {
+    const response = await axios.get(url, { headers: REQUEST_HEADERS });
+    return response.data;
+}
+
+// URL ise indir, değilse yerel HTML dosyası olarak oku
+async function loadSource(source) {
+    if (isUrl(source)) {
+        return fetchHtml(source);
+    }
+    return fs.readFile(source, 'utf8');
+}
+
+function cleanCell(text) {
+    return normalizeGridText(text);
+}
+
+// Tablonun kendi satırları (iç içe tablolar hariç), js/table-grid.js biçiminde
+function tableGridRows($, table) {
+    const tableEl = $(table).get(0);
+    return $(tableEl).find('tr').toArray()
+        .filter(tr => $(tr).closest('table').get(0) === tableEl)
+        .map(tr => {
+            const $cells = $(tr).children('td, th');
+            return {
+                inHead: $(tr).parent().is('thead'),
+                hasTh: $cells.is('th'),
+                allTh: $cells.length > 0 && $cells.filter('th').length === $cells.length,
+                cells: $cells.toArray().map(cell => ({
+                    text: $(cell).text(),
+                    colSpan: $(cell).attr('colspan'),
+                    rowSpan: $(cell).attr('rowspan')
+                }))
+            };
+        })
+        .filter(row => row.cells.length);
+}
+
+// colspan/rowspan ızgarası; eklentideki tableToMatrix ile aynı matris
+function parseTable($, table) {
+    return buildTableGrid(tableGridRows($, table));
+}
+
+function processTable($, table) {
+    return parseTable($, table).rows;
+}
+
+function findTableTitle($, element) {
+    // Tablo başlığını bul
+    const prevElement = $(element).prev();
+    if (prevElement.is('h1, h2, h3, h4, h5, h6')) {
+        return prevElement.text().trim();
+    }
+    if ($(element).find('caption').length > 0) {
+        return $(element).find('caption').first().text().trim();
+    }
+    // Sayfadaki diğer başlıkları kontrol et
+    const $header = $(element).prevAll('h1, h2, h3, h4, h5, h6').first();
+    return $header.length > 0 ? $header.text().trim() : '';
+}
+
+// CSS.escape karşılığı: id/sınıf içindeki ':', '/', '.' ve baştaki rakam seçiciyi bozmasın
+function cssEscape(value) {
+    const str = String(value);
+    let out = '';
+    for (let i = 0; i < str.length; i++) {
+        const ch = str[i];
+        const code = str.charCodeAt(i);
+        if (code === 0) {
+            out += '\uFFFD';
+        } else if ((code >= 0x1 && code <= 0x1f) || code === 0x7f ||
+            (code >= 0x30 && code <= 0x39 && (i === 0 || (i === 1 && str[0] === '-')))) {
+            out += `\\${code.toString(16)} `;
+        } else if (i === 0 && ch === '-' && str.length === 1) {
+            out += '\\-';
+        } else if (code >= 0x80 || ch === '-' || ch === '_' || /[0-9A-Za-z]/.test(ch)) {
+            out += ch;
+        } else {
+            out += `\\${ch}`;
+        }
+    }
+    return out;
+}
+
+// Tabloyu tekrar bulmak için CSS seçici: #id, sayfada tekse table.sınıf,
+// değilse id'li en yakın ataya (ya da body'ye) kadar tag:nth-of-type(n) yolu
+function tableSelector($, element) {
+    const id = $(element).attr('id');
+    if (id) return `#${cssEscape(id)}`;
+    const classes = ($(element).attr('class') || '').split(/\s+/).filter(Boolean);
+    const byClass = `table.${classes.map(cssEscape).join('.')}`;
+    if (classes.length && $(byClass).length === 1) return byClass;
+
+    const steps = [];
+    let node = element;
+    while (node && node.type === 'tag' && node.name !== 'body' && node.name !== 'html') {
+        const parentId = steps.length ? $(node).attr('id') : null;
+        if (parentId) {
+            steps.unshift(`#${cssEscape(parentId)}`);
+            return steps.join(' > ');
+        }
+        const position = $(node).prevAll(node.name).length + 1;
+        steps.unshift(`${node.name}:nth-of-type(${position})`);
+        node = node.parent;
+    }
+    steps.unshift('body');
+    return steps.join(' > ');
+}
+
+// Sayfadaki tüm tablolar (önizleme için ilk previewRows satır)
+function detectTables(html, options = {}) {
+    const { previewRows = 5 } = options;
+    const $ = cheerio.load(html);
+    const tables = [];
+
+    $('table').each((index, element) => {
+        const { rows: data, headers } = parseTable($, element);
+
+        if (data.length > 0 && data[0].length > 0) {
+            tables.push({
+                index,
+                title: findTableTitle($, element) || `Tablo ${index + 1}`,
+                selector: tableSelector($, element),
+                headers,
+                data: previewRows > 0 ? data.slice(0, Math.min(previewRows, data.length)) : data,
+                totalRows: data.length
+            });
+        }
+    });
+
+    return tables;
+}
+
+// Tabloyu sırası (index) ya da CSS seçicisi ile seç ve tam veriyi döndür
+function scrapeTable(html, { index = 0, selector = null } = {}) {
+    const $ = cheerio.load(html);
+    let $table;
+
+    if (selector) {
+        const $match = $(selector).first();
+        $table = $match.is('table') ? $match : $match.find('table').first();
+        if ($table.length === 0) {
+            throw new Error(`No table matches selector: ${selector}`);
+        }
+    } else {
+        $table = $('table').eq(index);
+        if ($table.length === 0) {
+            throw new Error(`No table at index ${index}`);
+        }
+    }
+
+    return processTable($, $table);
+}
+
+function toCSV(data, delimiter = ',') {
+    return data.map(row => {
+        return row.map(cell => {
+            // Hücrede ayraç, çift tırnak veya yeni satır varsa özel işle
+            const escaped = String(cell ?? '').replace(/"/g, '""');
+            if (escaped.includes(delimiter) || escaped.includes('"') || escaped.includes('\n')) {
+                return `"${escaped}"`;
+            }
+            return escaped;
+        }).join(delimiter);
+    }).join('\r\n');
+}
+
+module.exports = {
+    REQUEST_HEADERS,
+    isUrl,
+    fetchHtml,
+    loadSource,
+    cleanCell,
+    tableGridRows,
+    parseTable,
+    processTable,
+    findTableTitle,
+    tableSelector,
+    detectTables,
+    scrapeTable,
+    toCSV
+};